@@ -0,0 +1,104 @@
+'use strict'
+
+/**
+ * A minimal in-process LRU cache with optional expiry of entries.
+ */
+module.exports = class AccessCache {
+  /**
+   * @param {Object} options Cache options.
+   * @param {Number} options.max Maximum number of entries to keep.
+   * @param {Number} [options.ttl] Number of milliseconds after which an entry expires (0 to never expire).
+   */
+  constructor(options) {
+    this.max = options.max
+    this.ttl = options.ttl || 0
+    this.entries = new Map()
+  }
+
+  /**
+   * Get the number of entries in the cache.
+   *
+   * @returns {Number} The number of entries.
+   */
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * Check if the cache holds an unexpired entry for a key.
+   *
+   * @param {String} key The cache key.
+   * @returns {Boolean} Returns true if the key is cached.
+   */
+  has(key) {
+    const entry = this.entries.get(key)
+
+    if (!entry) {
+      return false
+    }
+    if (entry.expires && entry.expires < Date.now()) {
+      this.entries.delete(key)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Get a cached value, marking it as recently used.
+   *
+   * @param {String} key The cache key.
+   * @returns {*} The cached value, or null.
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return null
+    }
+    const entry = this.entries.get(key)
+
+    // Re-insert the entry so that it becomes the most recently used.
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Add a value to the cache, evicting the least recently used entry if the cache is full.
+   *
+   * @param {String} key The cache key.
+   * @param {*} value The value to cache.
+   */
+  set(key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, {
+      value,
+      expires: this.ttl ? Date.now() + this.ttl : 0,
+    })
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Remove an entry from the cache.
+   *
+   * @param {String} key The cache key.
+   */
+  delete(key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Remove entries from the cache.
+   *
+   * @param {String} [prefix] Only remove entries whose key starts with this prefix.
+   */
+  clear(prefix) {
+    if (!prefix) {
+      this.entries.clear()
+      return
+    }
+    Array.from(this.entries.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.entries.delete(key))
+  }
+}
@@ -0,0 +1,17 @@
+'use strict'
+
+/**
+ * Create an error that is returned to REST clients with the given status code.
+ *
+ * @param {Number} statusCode The HTTP status code (eg, 403).
+ * @param {String} message The error message.
+ * @returns {Error} Returns the error.
+ */
+function createHttpError(statusCode, message) {
+  const err = new Error(message)
+
+  err.statusCode = statusCode
+  return err
+}
+
+module.exports = { createHttpError }
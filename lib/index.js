@@ -1,6 +1,10 @@
 'use strict'
 
 const debug = require('debug')('loopback:component:access')
+const _defaults = require('lodash').defaults
+const _flatten = require('lodash').flatten
+const _omit = require('lodash').omit
+const _uniq = require('lodash').uniq
 const AccessUtils = require('./utils')
 const accessLogger = require('./middleware/access-logger')
 const userContext = require('./middleware/user-context')
@@ -16,20 +20,96 @@ module.exports = function loopbackComponentAccess(app, options) {
 
   // Initialize middleware
   app.middleware('auth:after', userContext())
-  app.middleware('routes:before', accessLogger())
+  app.middleware('routes:before', accessLogger(options.accessLog))
 
-  // Initialise helper class.
-  const accessUtils = new AccessUtils(app, options)
+  // Initialise a helper class for each group definition (options.groups), or for the top level options.
+  const groupOptions = options.groups ?
+    options.groups.map(group => _defaults({ }, group, _omit(options, 'groups'))) : [ options ]
+  const groupTypes = groupOptions.map(group => new AccessUtils(app, group))
 
-  app.accessUtils = accessUtils
+  // Ensure that each role resolver is only registered for a single group type.
+  const roleNames = _flatten(groupTypes.map(groupType => groupType.options.groupRoles))
 
-  // Set up role resolvers.
-  accessUtils.setupRoleResolvers()
-
-  // Set up model opertion hooks.
-  if (options.applyToStatic) {
-    accessUtils.setupFilters()
+  if (_uniq(roleNames).length !== roleNames.length) {
+    throw new Error('Group roles must be unique across all group definitions.')
   }
 
-// TODO: Create Group Access model automatically if one hasn't been specified
+  groupTypes.forEach(groupType => {
+    groupType.groupTypes = groupTypes
+  })
+
+  // The first group type doubles as the main helper.
+  app.accessUtils = groupTypes[0]
+
+  // Save the component config for easy reference.
+  app.set('loopback-component-access-groups', options)
+
+  groupTypes.forEach(accessUtils => {
+    // Create the group access model if the application doesn't define one.
+    accessUtils.setupGroupAccessModel()
+
+    // Keep cached group memberships up to date.
+    accessUtils.setupCacheInvalidation()
+
+    // Set up the invitation workflow.
+    if (accessUtils.options.invitationModel) {
+      accessUtils.setupInvitations()
+    }
+
+    // Set up the member management methods.
+    if (accessUtils.options.memberMethods) {
+      accessUtils.setupMemberMethods()
+    }
+
+    // Set up group restricted access tokens.
+    if (accessUtils.options.apiKeys) {
+      accessUtils.setupApiKeys()
+    }
+
+    // Set up sharing of records with other groups.
+    if (accessUtils.options.shareModel) {
+      accessUtils.setupSharing()
+    }
+
+    // Set up transfers of content between groups.
+    if (accessUtils.options.transferModel) {
+      accessUtils.setupTransfers()
+    }
+
+    // Set up handling of deleted groups.
+    if (accessUtils.options.onGroupDelete) {
+      accessUtils.setupGroupLifecycle()
+    }
+
+    // Set up impersonation of users.
+    if (accessUtils.options.impersonateRole) {
+      accessUtils.setupImpersonation()
+    }
+
+    // Set up the audit log.
+    if (accessUtils.options.auditModel) {
+      accessUtils.setupAuditLog()
+    }
+
+    // Set up role resolvers.
+    accessUtils.setupRoleResolvers()
+
+    // Authorize the writes of code that runs as a user (before the filters change the operations).
+    accessUtils.setupRunAsAccess()
+
+    // Set up model opertion hooks.
+    if (accessUtils.options.applyToStatic) {
+      accessUtils.setupFilters()
+    }
+
+    // Set up property level access.
+    if (Object.keys(accessUtils.options.propertyRoles).length) {
+      accessUtils.setupPropertyAccess()
+    }
+  })
+
+  // Set up the explain method (on the first group model, as it covers all group types).
+  if (app.accessUtils.options.explainRole) {
+    app.accessUtils.setupExplain()
+  }
 }
@@ -1,15 +1,109 @@
 'use strict'
 
 const debug = require('debug')('loopback:component:access:logger')
+const _defaults = require('lodash').defaults
+const _escapeRegExp = require('lodash').escapeRegExp
+const _flatten = require('lodash').flatten
+const _uniq = require('lodash').uniq
+const LoopBackContext = require('loopback-context')
 
-module.exports = function accessLoggerMiddleware() {
+// Compile a url pattern (a regular expression or a string). Global patterns are stateful when tested, so the flag is
+// dropped.
+function compilePattern(pattern) {
+  return pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.replace('g', '')) : new RegExp(pattern)
+}
+
+// Check if a path matches any of a list of compiled patterns.
+function matchesAny(patterns, urlPath) {
+  return patterns.some(pattern => pattern.test(urlPath))
+}
+
+// Compile a regular expression that matches the value of a query string parameter in a url.
+function compileParam(param) {
+  return new RegExp(`([?&]${_escapeRegExp(param)}=)[^&#]*`, 'g')
+}
+
+// Replace the values of the query string parameters that match the given compiled expressions in a url.
+function redactUrl(url, params) {
+  return params.reduce((res, param) => res.replace(param, '$1[REDACTED]'), url)
+}
+
+// Get the ids of the active groups of the current user, for all group types.
+function getGroupIds(app, loopbackContext) {
+  const currentUserGroups = (loopbackContext && loopbackContext.get('currentUserGroups')) || [ ]
+
+  if (!app.accessUtils) {
+    return [ ]
+  }
+
+  return _uniq(_flatten(app.accessUtils.groupTypes.map(groupType => currentUserGroups
+    .filter(group => groupType.isGroupAccessModel(group.constructor))
+    .map(group => group[groupType.options.foreignKey]))))
+}
+
+// Get the id of the user that made a request. The access token of an impersonated request is that of the impersonated
+// user (see the user context middleware), so the real user is the impersonator.
+function getUserId(req, loopbackContext) {
+  const impersonator = loopbackContext && loopbackContext.get('impersonator')
+
+  if (impersonator) {
+    return impersonator.getId()
+  }
+  return req.accessToken ? req.accessToken.userId : null
+}
+
+// Get the id of the user that the current user is impersonating (the user id of the record is the real user).
+function getImpersonatedUserId(loopbackContext) {
+  const currentUser = loopbackContext && loopbackContext.get('impersonator') && loopbackContext.get('currentUser')
+
+  return currentUser ? currentUser.getId() : null
+}
+
+// Send a log record to a sink (a function, a writable stream or the name of a model).
+function writeRecord(app, sink, record) {
+  if (typeof sink === 'function') {
+    return sink(record)
+  }
+  if (sink && typeof sink.write === 'function') {
+    return sink.write(`${JSON.stringify(record)}\n`)
+  }
+  if (typeof sink === 'string') {
+    if (!app.models[sink]) {
+      debug('access log model %s not found', sink)
+      return null
+    }
+    return app.models[sink].create(record)
+  }
+  return null
+}
+
+module.exports = function accessLoggerMiddleware(options) {
   debug('initializing access logger middleware')
+  options = _defaults({ }, options, {
+    sink: null,
+    include: [ ],
+    exclude: [ ],
+    redactParams: [ 'access_token' ],
+  })
+  const include = options.include.map(compilePattern)
+  const exclude = options.exclude.map(compilePattern)
+  const redactParams = options.redactParams.map(compileParam)
+
   return function accessLogger(req, res, next) {
+    const url = redactUrl(req.originalUrl, redactParams)
+    const urlPath = req.originalUrl.split('?')[0]
+    const loopbackContext = LoopBackContext.getCurrentContext()
+    const userId = getUserId(req, loopbackContext)
+
+    if ((include.length && !matchesAny(include, urlPath)) || matchesAny(exclude, urlPath)) {
+      return next()
+    }
+
     if (req.accessToken) {
-      debug('req: %s %s, token: %o', req.method, req.originalUrl, req.accessToken)
+      debug('req: %s %s, userId: %o', req.method, url, userId)
     }
     else {
-      debug('req', req.method, req.originalUrl)
+      debug('req', req.method, url)
     }
 
     const start = new Date()
@@ -22,16 +116,27 @@ module.exports = function accessLoggerMiddleware() {
     // install a listener for when the response is finished
     res.on('finish', () => {
       // the request was handled, print the log entry
-      const duration = new Date() - start
-
-      debug('res %s %s: %o', req.method, req.originalUrl, {
-        lbHttpMethod: req.method,
-        lbUrl: req.originalUrl,
-        lbStatusCode: res.statusCode,
-        lbResponseTime: duration,
-        lbResponseTimeUnit: 'ms',
+      const record = {
+        date: start,
+        method: req.method,
+        url,
+        status: res.statusCode,
+        duration: new Date() - start,
+        userId,
+        groupIds: getGroupIds(req.app, loopbackContext),
+        groupAccessApplied: Boolean(loopbackContext && loopbackContext.get('groupAccessApplied')),
+        impersonatedUserId: getImpersonatedUserId(loopbackContext),
+      }
+
+      debug('res %s %s: %o', req.method, url, record)
+
+      // Only start writing when there is a sink, as the write continues in the context of the finished request.
+      if (!options.sink) {
+        return
       }
-      )
+      Promise.resolve()
+        .then(() => writeRecord(req.app, options.sink, record))
+        .catch(err => debug('Failed to write access log record: %s', err.message))
     })
 
     return next()
@@ -2,7 +2,75 @@
 
 const debug = require('debug')('loopback:component:access:context')
 const Promise = require('bluebird')
+const _flatten = require('lodash').flatten
 const LoopBackContext = require('loopback-context')
+const { createHttpError } = require('../errors')
+const REQUEST_KEYS = require('../request-keys')
+
+// Let a user with the impersonate role (see options.impersonateRole) act as the user whose id is given in the
+// impersonate header. The access token of the request is replaced by one for that user, so that everything (including
+// the ACLs) is resolved as them, and the real user is only kept in the context as the impersonator.
+function impersonate(req, loopbackContext, userId) {
+  const { app } = req
+  const { roleModel, userModel, impersonateRole } = app.accessUtils.options
+  const UserModel = app.models[userModel]
+
+  // Tokens that are restricted to a group can not be used to act as someone else.
+  if (req.accessToken.groupGrant) {
+    return Promise.reject(createHttpError(403, 'Group restricted access tokens can not be used to impersonate users.'))
+  }
+
+  return Promise.join(
+    Promise.fromCallback(callback => app.models[roleModel].isInRole(impersonateRole, {
+      principalType: 'USER',
+      principalId: req.accessToken.userId,
+    }, callback)),
+    UserModel.findById(req.accessToken.userId),
+    UserModel.findById(userId),
+    (isImpersonator, impersonator, user) => {
+      if (!isImpersonator) {
+        return Promise.reject(createHttpError(403, 'You are not allowed to impersonate users.'))
+      }
+      if (!user) {
+        return Promise.reject(createHttpError(404, 'The impersonated user was not found.'))
+      }
+      const AccessToken = req.accessToken.constructor
+
+      req.accessToken = new AccessToken(Object.assign(req.accessToken.toObject(), { userId: user.getId() }))
+      loopbackContext.set('impersonator', impersonator)
+      debug('impersonator', impersonator)
+      return user.getId()
+    })
+}
+
+// Scope the request to the groups selected by the user, for each group type that the user is a member of the group in.
+function setActiveGroups(req, loopbackContext, groupsByType) {
+  const { groupTypes } = req.app.accessUtils
+  const requestedGroupIds = groupTypes.map(groupType => groupType.getRequestedGroupId(req))
+  const activeGroups = { }
+
+  if (!requestedGroupIds.some(Boolean)) {
+    return null
+  }
+
+  return Promise.map(groupTypes, (groupType, i) =>
+    requestedGroupIds[i] && groupType.canActivateGroup(groupsByType[i], requestedGroupIds[i]))
+    .then(results => {
+      results.forEach((canActivate, i) => {
+        if (canActivate) {
+          activeGroups[groupTypes[i].options.groupModel] = requestedGroupIds[i]
+        }
+      })
+
+      if (!Object.keys(activeGroups).length) {
+        return Promise.reject(createHttpError(403, 'You are not a member of the selected group.'))
+      }
+
+      loopbackContext.set('activeGroups', activeGroups)
+      debug('activeGroups', activeGroups)
+      return null
+    })
+}
 
 module.exports = function userContextMiddleware() {
   debug('initializing user context middleware')
@@ -15,6 +83,10 @@ module.exports = function userContextMiddleware() {
       return next()
     }
 
+    // The context of a request inherits the values of the context that the request was made in (eg, when the app is
+    // called in process), so start from a clean slate.
+    REQUEST_KEYS.forEach(key => loopbackContext.set(key, null))
+
     if (!req.accessToken) {
       debug('No user context (access token not found)')
       return next()
@@ -22,21 +94,39 @@ module.exports = function userContextMiddleware() {
 
     loopbackContext.set('accessToken', req.accessToken.id)
     const { app } = req
+    const { groupGrant } = req.accessToken
     const UserModel = app.accessUtils.options.userModel || 'User'
 
-    return Promise.join(
-      app.models[UserModel].findById(req.accessToken.userId),
-      app.accessUtils.getUserGroups(req.accessToken.userId),
-      (user, groups) => {
-        if (!user) {
-          return next(new Error('No user with this access token was found.'))
-        }
-        loopbackContext.set('currentUser', user)
-        loopbackContext.set('currentUserGroups', groups)
-        debug('currentUser', user)
-        debug('currentUserGroups', groups)
-        return next()
-      })
+    // Tokens that are restricted to a group only give access to that group (see AccessUtils.createApiKey()).
+    if (groupGrant) {
+      loopbackContext.set('accessGrant', groupGrant)
+      debug('accessGrant', groupGrant)
+    }
+
+    const { impersonateRole, impersonateHeader } = app.accessUtils.options
+    const impersonatedUserId = impersonateRole && impersonateHeader && req.get(impersonateHeader)
+
+    return Promise.resolve(impersonatedUserId ?
+      impersonate(req, loopbackContext, impersonatedUserId) :
+      req.accessToken.userId)
+      .then(userId => Promise.join(
+        app.models[UserModel].findById(userId),
+        Promise.map(app.accessUtils.groupTypes, groupType => (groupGrant ?
+          groupType.getGrantedGroups(userId, groupGrant) :
+          groupType.getUserGroups(userId))),
+        (user, groupsByType) => {
+          const groups = _flatten(groupsByType)
+
+          if (!user) {
+            return Promise.reject(new Error('No user with this access token was found.'))
+          }
+          loopbackContext.set('currentUser', user)
+          loopbackContext.set('currentUserGroups', groups)
+          debug('currentUser', user)
+          debug('currentUserGroups', groups)
+          return setActiveGroups(req, loopbackContext, groupsByType)
+        }))
+      .then(() => next())
       .catch(next)
   }
 }
@@ -0,0 +1,18 @@
+'use strict'
+
+/**
+ * The values of the loopback context that only apply to a single request (or to a single runAs() call). Contexts
+ * inherit the values of the context that they are created in, so these are reset whenever a new one starts.
+ */
+module.exports = [
+  'accessToken',
+  'accessGrant',
+  'accessCache',
+  'currentUser',
+  'currentUserGroups',
+  'activeGroups',
+  'groupAccessApplied',
+  'groupAccessInstances',
+  'impersonator',
+  'runAs',
+]
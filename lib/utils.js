@@ -2,10 +2,38 @@
 
 const debug = require('debug')('loopback:component:access')
 const { createPromiseCallback } = require('loopback-datasource-juggler/lib/utils')
+const _camelCase = require('lodash').camelCase
 const _defaults = require('lodash').defaults
+const _flatten = require('lodash').flatten
+const _fromPairs = require('lodash').fromPairs
 const _get = require('lodash').get
+const _isEqual = require('lodash').isEqual
+const _isNil = require('lodash').isNil
+const _omit = require('lodash').omit
+const _uniq = require('lodash').uniq
+const _values = require('lodash').values
+const crypto = require('crypto')
 const Promise = require('bluebird')
 const LoopBackContext = require('loopback-context')
+const { AccessContext, AccessRequest } = require('loopback/lib/access-context')
+const AccessCache = require('./cache')
+const { createHttpError } = require('./errors')
+const REQUEST_KEYS = require('./request-keys')
+
+// Check that an id exists and is not a function/relation.
+function isValidId(id) {
+  return Boolean(id) && typeof id !== 'function'
+}
+
+// Check if any of the given model instances has included (or cached) related instances.
+function hasIncludedRelations(results) {
+  return [ ].concat(results).some(result => Object.keys(_get(result, '__cachedRelations') || { }).length)
+}
+
+// Convert a model instance to the plain data that is sent to REST clients.
+function toResponseData(result) {
+  return result && typeof result.toJSON === 'function' ? result.toJSON() : result
+}
 
 module.exports = class AccessUtils {
   constructor(app, options) {
@@ -22,10 +50,52 @@ module.exports = class AccessUtils {
         '$group:member',
       ],
       applyToStatic: false,
+      parentKey: null,
+      maxDepth: 10,
+      cacheSize: 0,
+      cacheTtl: 60000,
+      rolePermissions: { },
+      validFromKey: 'validFrom',
+      validUntilKey: 'validUntil',
+      invitationModel: null,
+      inviteRole: '$group:admin',
+      invitationTtl: 7 * 24 * 60 * 60 * 1000,
+      memberMethods: false,
+      adminRole: '$group:admin',
+      auditModel: null,
+      auditSampleRate: 1,
+      auditDenialsOnly: false,
+      explainRole: null,
+      activeGroupHeader: 'X-Access-Group',
+      activeGroupParam: null,
+      propertyRoles: { },
+      apiKeys: false,
+      apiKeyTtl: 90 * 24 * 60 * 60,
+      visibilityKey: null,
+      shareModel: null,
+      shareRole: '$group:admin',
+      transferModel: null,
+      transferRole: '$group:admin',
+      onGroupDelete: null,
+      archivedKey: 'archived',
+      impersonateRole: null,
+      impersonateHeader: 'X-Impersonate-User',
     })
     // Default the foreignKey to the group model name + Id.
     this.options.foreignKey = this.options.foreignKey || `${this.options.groupModel.toLowerCase()}Id`
 
+    // Normalize options.groupRoles when given as a graph of implied roles ({ '$group:admin': [ '$group:member' ] }).
+    this.roleImplications = { }
+    if (!Array.isArray(this.options.groupRoles)) {
+      const roleGraph = this.options.groupRoles
+
+      this.options.groupRoles = _uniq(Object.keys(roleGraph).concat(_flatten(_values(roleGraph))))
+      Object.keys(roleGraph).forEach(name => {
+        this.roleImplications[this.extractRoleName(name)] = [].concat(roleGraph[name])
+          .map(impliedName => this.extractRoleName(impliedName))
+      })
+    }
+
     // Validate the format of options.groupRoles ($group:[role]).
     this.options.groupRoles.forEach(name => {
       if (!this.isValidPrincipalId(name)) {
@@ -33,16 +103,153 @@ module.exports = class AccessUtils {
       }
     })
 
-    // Save the component config for easy reference.
-    app.set('loopback-component-access-groups', options)
+    // Set up the cross-request membership cache.
+    this.sharedCache = this.options.cacheSize > 0 ?
+      new AccessCache({ max: this.options.cacheSize, ttl: this.options.cacheTtl }) : null
+    this.cacheStats = { requestHits: 0, requestMisses: 0, sharedHits: 0, sharedMisses: 0 }
+
+    // Validate that options.rolePermissions only grants permissions to known roles.
+    Object.keys(this.options.rolePermissions).forEach(name => {
+      if (!this.options.groupRoles.includes(name)) {
+        throw new Error(`${name} is not a group role and can not be granted permissions.`)
+      }
+    })
+
+    // All group types configured for the application (see options.groups).
+    this.groupTypes = [ this ]
+
+    // Functions that access decisions are recorded with (see addAuditSink()).
+    this.auditSinks = [ ]
+
     debug('options: %o', options)
   }
 
+  /**
+   * Define and attach a default group access model if the configured one does not exist.
+   *
+   * The generated model stores the userId, group foreign key, role and validity window of each membership and links
+   * the user and group models to each other through it.
+   */
+  setupGroupAccessModel() {
+    const { userModel, groupModel, groupAccessModel, foreignKey } = this.options
+
+    if (this.app.models[groupAccessModel]) {
+      debug('Group access model %s already exists', groupAccessModel)
+      return
+    }
+
+    const UserModel = this.app.models[userModel]
+    const GroupModel = this.app.models[groupModel]
+
+    if (!UserModel || !GroupModel) {
+      throw new Error(`Unable to create ${groupAccessModel}: models ${userModel} and ${groupModel} must be defined.`)
+    }
+
+    debug('Creating group access model %s', groupAccessModel)
+    const properties = {
+      userId: { type: this.getIdType(UserModel), required: true },
+      role: { type: 'string', required: true },
+    }
+
+    properties[foreignKey] = { type: this.getIdType(GroupModel), required: true }
+    if (this.options.validFromKey) {
+      properties[this.options.validFromKey] = { type: 'date' }
+    }
+    if (this.options.validUntilKey) {
+      properties[this.options.validUntilKey] = { type: 'date' }
+    }
+
+    const relations = {
+      user: { type: 'belongsTo', model: userModel, foreignKey: 'userId' },
+    }
+
+    relations[_camelCase(groupModel)] = { type: 'belongsTo', model: groupModel, foreignKey }
+
+    const GroupAccess = this.app.registry.createModel({
+      name: groupAccessModel,
+      base: 'PersistedModel',
+      properties,
+      relations,
+    })
+
+    this.app.model(GroupAccess, { dataSource: GroupModel.dataSource, public: false })
+
+    // Link the user and group models to each other through the group access model.
+    if (!this.hasRelationTo(UserModel, GroupModel, 'hasMany')) {
+      UserModel.hasMany(GroupModel, { through: GroupAccess, foreignKey: 'userId', keyThrough: foreignKey })
+    }
+    if (!this.hasRelationTo(GroupModel, UserModel, 'hasMany')) {
+      GroupModel.hasMany(UserModel, { through: GroupAccess, foreignKey, keyThrough: 'userId' })
+    }
+  }
+
+  /**
+   * Check if a model class already has a relation of a given type to another model class.
+   *
+   * @param {Object} modelClass Model class to check.
+   * @param {Object} modelTo Related model class.
+   * @param {String} type Relation type (eg, 'hasMany').
+   * @returns {Boolean} Returns true if a matching relation exists.
+   */
+  hasRelationTo(modelClass, modelTo, type) {
+    return Object.keys(modelClass.relations || { }).some(relName => {
+      const rel = modelClass.relations[relName]
+
+      return rel.type === type && rel.modelTo === modelTo
+    })
+  }
+
+  /**
+   * Get the type of a model class's id property.
+   *
+   * @param {Object} modelClass Model class to inspect.
+   * @returns {*} The id property type, or 'any' if it can not be determined.
+   */
+  getIdType(modelClass) {
+    return _get(modelClass.definition.properties, `${modelClass.getIdName()}.type`) || 'any'
+  }
+
+  /**
+   * Add operation hooks to invalidate cached group memberships when they change.
+   */
+  setupCacheInvalidation() {
+    const GroupAccess = this.app.models[this.options.groupAccessModel]
+    const GroupModel = this.app.models[this.options.groupModel]
+
+    // Invalidate the cached memberships of a user, or of all users.
+    const invalidateMemberships = (ctx, userId) => {
+      debug('%s changed - invalidating cached memberships for user %o', ctx.Model.modelName, userId || 'all')
+      this.clearCache(userId ? `role:${userId}:` : 'role:')
+    }
+
+    function invalidateAll(ctx, next) {
+      invalidateMemberships(ctx, null)
+      next()
+    }
+
+    // Only new and deleted memberships are known to affect a single user. Any other save can change the user of a
+    // membership, and its previous user is no longer known once it is saved.
+    GroupAccess.observe('after save', (ctx, next) => {
+      invalidateMemberships(ctx, ctx.isNewInstance && _get(ctx, 'instance.userId'))
+      next()
+    })
+    GroupAccess.observe('after delete', (ctx, next) => {
+      invalidateMemberships(ctx, _get(ctx, 'instance.userId'))
+      next()
+    })
+
+    // Changes to the group hierarchy affect inherited memberships.
+    if (this.options.parentKey) {
+      GroupModel.observe('after save', invalidateAll)
+      GroupModel.observe('after delete', invalidateAll)
+    }
+  }
+
   /**
    * Register a dynamic role resolver for each defined access group.
    */
   setupRoleResolvers() {
-    this.options.groupRoles.forEach(accessGroup => {
+    this.options.groupRoles.concat(this.getPermissionPrincipalIds()).forEach(accessGroup => {
       this.setupRoleResolver(accessGroup)
     })
   }
@@ -61,19 +268,14 @@ module.exports = class AccessUtils {
         Model.observe('access', (ctx, next) => {
           const currentUser = this.getCurrentUser()
 
-          if (currentUser) {
+          // Anonymous requests can only get here by reading visible content (see options.visibilityKey).
+          if (currentUser || this.hasVisibility(Model)) {
             // Do not filter if options.skipAccess has been set.
             if (ctx.options.skipAccess) {
               debug('skipAccess: true - skipping access filters')
               return next()
             }
 
-            // Do not filter if the request is being made against a single model instance.
-            if (_get(ctx.query, 'where.id')) {
-              debug('looking up by Id - skipping access filters')
-              return next()
-            }
-
             // Do not apply filters if no group access acls were applied.
             const loopbackContext = LoopBackContext.getCurrentContext()
             const groupAccessApplied = Boolean(loopbackContext && loopbackContext.get('groupAccessApplied'))
@@ -83,10 +285,23 @@ module.exports = class AccessUtils {
               return next()
             }
 
+            // Do not filter if the request is being made against the model instance that the acls were checked for.
+            // Other lookups by id (eg, of included or related models) are filtered.
+            const id = _get(ctx.query, `where.${Model.getIdName()}`)
+            const checkedInstances = loopbackContext.get('groupAccessInstances') || [ ]
+
+            if (isValidId(id) && typeof id !== 'object' && checkedInstances.includes(`${Model.modelName}:${id}`)) {
+              debug('looking up by Id - skipping access filters')
+              return next()
+            }
+
             debug('%s observe access: query=%s, options=%o, hookState=%o',
               Model.modelName, JSON.stringify(ctx.query, null, 4), ctx.options, ctx.hookState)
 
-            return this.buildFilter(currentUser.getId(), ctx.Model)
+            const userFilter = currentUser ? this.buildFilter(currentUser.getId(), ctx.Model) :
+              Promise.resolve(this.getVisibilityFilter(ctx.Model, null))
+
+            return userFilter
               .then(filter => {
                 debug('original query: %o', JSON.stringify(ctx.query, null, 4))
                 const where = ctx.query.where ? {
@@ -99,28 +314,417 @@ module.exports = class AccessUtils {
           }
           return next()
         })
+
+        // Restrict bulk updates and deletes to the users groups.
+        Model.observe('before save', ctx => this.applyWriteFilter(ctx))
+        Model.observe('before delete', ctx => this.applyWriteFilter(ctx))
+
+        // Keep changes to group content within the active group, if the user selected one.
+        if (!this.isGroupModel(Model)) {
+          Model.observe('before save', (ctx, next) => {
+            const activeGroupId = this.getActiveGroupId()
+            const data = ctx.instance || ctx.data
+            const { foreignKey } = this.options
+
+            if (!activeGroupId || ctx.options.skipAccess) {
+              return next()
+            }
+
+            // Create new content in the active group by default.
+            if (ctx.isNewInstance && Model.definition.properties[foreignKey] && !isValidId(data[foreignKey])) {
+              data[foreignKey] = activeGroupId
+            }
+
+            // Partial updates (eg, updateAttributes) only have the changed data, so check it with the current data.
+            const merged = Object.assign({ }, ctx.currentInstance && ctx.currentInstance.toObject(), ctx.data,
+              ctx.instance && ctx.instance.toObject())
+
+            return Promise.join(this.getGroupIdFromData(Model, merged), this.getGroupDescendantIds([ activeGroupId ]),
+              (groupId, groupIds) => {
+                if (groupId && !groupIds.some(id => String(id) === String(groupId))) {
+                  return Promise.reject(createHttpError(403,
+                    `Can not save ${Model.modelName} outside of the active group.`))
+                }
+                return null
+              })
+          })
+        }
+      }
+    })
+  }
+
+  /**
+   * Add a remote hook to strip properties that the current user can not read from the results of remote methods, and
+   * operation hooks to reject changes to properties that the current user can not write (see options.propertyRoles).
+   */
+  setupPropertyAccess() {
+    const { propertyRoles } = this.options
+    const principalIds = this.options.groupRoles.concat(this.getPermissionPrincipalIds())
+
+    Object.keys(propertyRoles).forEach(modelName => {
+      const Model = this.app.models[modelName]
+
+      if (!Model) {
+        throw new Error(`${modelName} is not a model and can not have property roles.`)
+      }
+      Object.keys(propertyRoles[modelName]).forEach(property => {
+        const roles = propertyRoles[modelName][property]
+
+        _flatten([ roles.read || [ ], roles.write || [ ] ]).forEach(principalId => {
+          if (!principalIds.includes(principalId)) {
+            throw new Error(`${principalId} is not a group role and can not be granted access to ${property}.`)
+          }
+        })
+      })
+
+      debug('Attaching property access observers to %s', modelName)
+      Model.observe('before save', (ctx, next) => {
+        const data = ctx.instance || ctx.data
+        const id = !ctx.isNewInstance && !ctx.currentInstance && data[Model.getIdName()]
+        let current = ctx.currentInstance
+
+        if (ctx.options.skipAccess) {
+          return next()
+        }
+
+        // Saves of whole instances (eg, instance.save() or replaceById) don't come with the current instance, so
+        // compare them with the stored record. Without one (eg, when creating a record), any value counts as a change.
+        return Promise.resolve(isValidId(id) ? Model.findById(id, { }, { skipAccess: true }) : null)
+          .then(stored => {
+            current = current || stored
+            return this.getDataGroupId(Model, Object.assign({ }, current && current.toObject(), ctx.data,
+              ctx.instance && ctx.instance.toObject()))
+          })
+          .then(groupId => this.getDeniedProperties(Model, groupId, 'write'))
+          .then(properties => {
+            // Ignore properties that are not set, or that keep their current value.
+            const changed = properties.filter(property => {
+              if (ctx.data && !Object.prototype.hasOwnProperty.call(ctx.data, property)) {
+                return false
+              }
+              if (current) {
+                return !_isEqual(current[property], data[property])
+              }
+              return !_isNil(data[property])
+            })
+
+            if (changed.length) {
+              return Promise.reject(createHttpError(403,
+                `You are not allowed to change ${changed.join(', ')} of ${Model.modelName}.`))
+            }
+            return null
+          })
+      })
+    })
+
+    // Loaded instances keep their properties (eg, so that saving them doesn't clear them), only responses are stripped.
+    // Any remote method can return protected models, as its own results or in included relations.
+    this.app.remotes().after('**', (ctx, next) => {
+      const modelName = [ ].concat(ctx.result).map(result => _get(result, 'constructor.modelName')).find(Boolean)
+      const Model = modelName && this.app.models[modelName]
+
+      // Leave results without protected properties (of their own or of included relations) to later hooks as they are.
+      if (!Model || !(this.hasPropertyRoles(Model, 'read', false) ||
+        (this.hasPropertyRoles(Model, 'read') && hasIncludedRelations(ctx.result)))) {
+        return next()
+      }
+
+      ctx.result = Array.isArray(ctx.result) ? ctx.result.map(toResponseData) : toResponseData(ctx.result)
+      return this.removeDeniedProperties(Model, ctx.result)
+    })
+  }
+
+  /**
+   * Check if a model has properties that are limited to some group roles (see options.propertyRoles), or, unless
+   * `related` is false, if any model that it is related to has (through its relations, recursively).
+   *
+   * @param {Function} modelClass The model class.
+   * @param {String} accessType Either 'read' or 'write'.
+   * @param {Boolean} [related] Whether to also check the related models (default: true).
+   * @returns {Boolean} Returns true if there are limited properties.
+   */
+  hasPropertyRoles(modelClass, accessType, related) {
+    const { propertyRoles } = this.options
+    const seen = [ ]
+
+    // Check a model and its related models, once each (relations can be circular).
+    function check(Model) {
+      const rules = propertyRoles[Model.modelName] || { }
+
+      if (seen.includes(Model)) {
+        return false
+      }
+      seen.push(Model)
+      return Object.keys(rules).some(property => rules[property][accessType]) || (related !== false &&
+        _values(Model.relations).some(rel => rel.modelTo && check(rel.modelTo)))
+    }
+
+    return check(modelClass)
+  }
+
+  /**
+   * Remove the properties that the current user can not read from model data, and from the data of its included
+   * relations (see options.propertyRoles).
+   *
+   * @param {Function} modelClass The model class.
+   * @param {Object|Array} data The model data (eg, from toJSON()), or a list of it.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object|Array} Returns the data.
+   */
+  removeDeniedProperties(modelClass, data, cb) {
+    cb = cb || createPromiseCallback()
+    const hasRules = this.hasPropertyRoles(modelClass, 'read', false)
+    const relations = _values(modelClass.relations)
+      .filter(rel => rel.modelTo && this.hasPropertyRoles(rel.modelTo, 'read'))
+
+    if (!hasRules && !relations.length) {
+      process.nextTick(() => cb(null, data))
+      return cb.promise
+    }
+
+    Promise.each([ ].concat(data), item => {
+      if (!item || typeof item !== 'object') {
+        return null
       }
+
+      // Only look up the group of the item if the model itself has protected properties.
+      return Promise.resolve(hasRules ? this.getDataGroupId(modelClass, item)
+        .then(groupId => this.getDeniedProperties(modelClass, groupId, 'read')) : [ ])
+        .then(properties => {
+          properties.forEach(property => delete item[property])
+
+          return Promise.each(relations, rel =>
+            (item[rel.name] ? this.removeDeniedProperties(rel.modelTo, item[rel.name]) : null))
+        })
+    })
+      .then(() => cb(null, data))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the group of a group model or group content model instance from its data.
+   *
+   * @param {Function} modelClass The model class.
+   * @param {Object} data The model data.
+   * @param {Function} [cb] A callback function.
+   * @returns {*} Returns the group ID, or null.
+   */
+  getDataGroupId(modelClass, data, cb) {
+    cb = cb || createPromiseCallback()
+
+    if (this.isGroupModel(modelClass)) {
+      const groupId = data[modelClass.getIdName()]
+
+      process.nextTick(() => cb(null, isValidId(groupId) ? groupId : null))
+      return cb.promise
+    }
+
+    return this.getGroupIdFromData(modelClass, data, cb)
+  }
+
+  /**
+   * Get the properties of a model that the current user is not allowed to read or write in a group (see
+   * options.propertyRoles). The roles are checked the same way as by the role resolvers.
+   *
+   * @param {Function} modelClass The model class.
+   * @param {*} groupId The group ID, or null if the group is not known.
+   * @param {String} accessType Either 'read' or 'write'.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of property names.
+   */
+  getDeniedProperties(modelClass, groupId, accessType, cb) {
+    cb = cb || createPromiseCallback()
+    const rules = this.options.propertyRoles[modelClass.modelName] || { }
+    const properties = Object.keys(rules).filter(property => rules[property][accessType])
+    const currentUser = this.getCurrentUser()
+
+    // Only restrict access on behalf of users.
+    if (!currentUser || !properties.length) {
+      process.nextTick(() => cb(null, [ ]))
+      return cb.promise
+    }
+
+    Promise.filter(properties, property => {
+      const roleNames = _uniq(_flatten(rules[property][accessType]
+        .map(principalId => this.getPrincipalRoleNames(principalId))))
+
+      return groupId ? this.hasRoleInGroup(currentUser.getId(), roleNames, groupId).then(res => !res) : true
     })
+      .then(res => {
+        debug('denied %s access to %o of %s for user %o', accessType, res, modelClass.modelName, currentUser.getId())
+        cb(null, res)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the where filter of an update or delete operation, restricted to the current users groups in the same way as by
+   * applyWriteFilter(). Hooks that act on the matching records themselves use this, as they can run before the write
+   * filter has been applied.
+   *
+   * @param {Object} ctx The operation hook context.
+   * @returns {Promise} Returns a promise for the where filter.
+   */
+  getWritableWhere(ctx) {
+    const currentUser = this.getCurrentUser()
+
+    // Operations on a single instance (eg, updateAttributes, replaceById or instance.destroy) also have a where filter
+    // that matches its id, but the instance is authorized by the ACLs of the method that loaded it.
+    if (!currentUser || !ctx.where || ctx.instance || ctx.currentInstance || ctx.options.skipAccess) {
+      return Promise.resolve(ctx.where)
+    }
+
+    return this.buildFilter(currentUser.getId(), ctx.Model, 'WRITE')
+      .then(filter => (Object.keys(ctx.where).length ? { and: [ ctx.where, filter ] } : filter))
+  }
+
+  /**
+   * Restrict the where filter of an update or delete operation (eg, updateAll or destroyAll) to the current users
+   * groups. Unlike the access filter this applies whenever there is a current user, and to lookups by id. Operations on
+   * a loaded instance are left to the ACLs.
+   *
+   * @param {Object} ctx The operation hook context.
+   * @returns {Promise} Returns a promise that resolves once the filter has been applied.
+   */
+  applyWriteFilter(ctx) {
+    return this.getWritableWhere(ctx)
+      .then(where => {
+        if (where !== ctx.where) {
+          ctx.where = where
+          debug('%s restricted where filter: %s', ctx.Model.modelName, JSON.stringify(ctx.where))
+        }
+      })
   }
 
   /**
-   * Build a where filter to restrict search results to a users group
+   * Build a where filter to restrict search results to a users groups (and their descendant groups). Content that is
+   * shared with their groups (see options.shareModel) is also included, for WRITE access only if it is shared with a
+   * role that may write to the model. For READ access, content that is visible to the user (see options.visibilityKey)
+   * is also included.
    *
    * @param {String} userId UserId to build filter for.
    * @param {Object} Model Model to build filter for,
+   * @param {String} [accessType] The access type to build the filter for. *(default: 'READ')*
    * @returns {Object} A where filter.
    */
-  buildFilter(userId, Model) {
+  buildFilter(userId, Model, accessType) {
+    const filter = { }
+    const path = (Model && !this.isGroupModel(Model) && this.getGroupRelationPath(Model)) || [ ]
+    let key = this.options.foreignKey
+
+    if (this.isGroupModel(Model)) {
+      key = Model.getIdName()
+    }
+    else if (path.length) {
+      // Restrict by the ids of the related items that belong to the users groups.
+      key = path[0].keyFrom
+    }
+
+    // Restrict the current user to their active group, if they selected one.
+    const currentUser = this.getCurrentUser()
+    const activeGroupId = currentUser && String(currentUser.getId()) === String(userId) ?
+      this.getActiveGroupId() : null
+    const groupIds = activeGroupId ? Promise.resolve([ activeGroupId ]) : this.getUserGroups(userId)
+      .then(userGroups => Array.from(userGroups, group => group[this.options.foreignKey]))
+
+    const isRead = (accessType || 'READ') === 'READ'
+
+    return groupIds
+      .then(ids => this.getGroupDescendantIds(ids))
+      // Archived groups are read-only (see options.onGroupDelete).
+      .then(ids => (isRead ? ids : this.getArchivedGroupIds(ids)
+        .then(archivedIds => ids.filter(id => !archivedIds.some(archivedId => String(archivedId) === String(id))))))
+      .then(ids => Promise.join(this.getGroupRelationPathIds(path, ids), this.getSharedIds(Model, ids, accessType),
+        (relatedIds, sharedIds) => {
+          const visibilityFilter = isRead ? this.getVisibilityFilter(Model, userId) : null
+          const filters = [ filter ]
+
+          filter[key] = { inq: relatedIds }
+
+          // Also include records that are shared with the users groups (see options.shareModel).
+          if (sharedIds.length) {
+            const sharedFilter = { }
+
+            sharedFilter[Model.getIdName()] = { inq: sharedIds }
+            filters.push(sharedFilter)
+          }
+          if (visibilityFilter) {
+            filters.push(visibilityFilter)
+          }
+          return filters.length > 1 ? { or: filters } : filter
+        }))
+  }
+
+  /**
+   * Check if a model supports per instance visibility, by being the group model or a group content model with the
+   * options.visibilityKey property.
+   *
+   * @param {Object} modelClass Model class to check.
+   * @returns {Boolean} Returns true if the model has a visibility property.
+   */
+  hasVisibility(modelClass) {
+    const { visibilityKey } = this.options
+
+    if (!visibilityKey || !modelClass || !modelClass.definition.properties[visibilityKey]) {
+      return false
+    }
+    return this.isGroupModel(modelClass) ||
+      (!this.isInternalModel(modelClass) && Boolean(this.getGroupRelationPath(modelClass)))
+  }
+
+  /**
+   * Build a where filter that matches the content of a model that is visible to a user regardless of their groups.
+   * Public content is visible to everyone, and authenticated content is visible to all logged in users.
+   *
+   * @param {Object} Model Model to build filter for.
+   * @param {String} userId The user ID, or null for anonymous users.
+   * @returns {Object} A where filter, or null if the model doesn't have a visibility property.
+   */
+  getVisibilityFilter(Model, userId) {
     const filter = { }
-    const key = this.isGroupModel(Model) ? Model.getIdName() : this.options.foreignKey
-    // TODO: Support key determination based on the belongsTo relationship.
 
-    return this.getUserGroups(userId)
-      .then(userGroups => {
-        userGroups = Array.from(userGroups, group => group[this.options.foreignKey])
-        filter[key] = { inq: userGroups }
-        return filter
+    if (!this.hasVisibility(Model)) {
+      return null
+    }
+    filter[this.options.visibilityKey] = { inq: userId ? [ 'public', 'authenticated' ] : [ 'public' ] }
+    return filter
+  }
+
+  /**
+   * Check if the model instance of a security context can be read by a user because of its visibility. Static reads
+   * are allowed when query filters are applied (see options.applyToStatic), as these only return visible content.
+   *
+   * @param {Object} context The security context.
+   * @param {*} userId The user ID, or null for anonymous users.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the user can read the model instance.
+   */
+  isVisibleTo(context, userId, cb) {
+    cb = cb || createPromiseCallback()
+    const { visibilityKey } = this.options
+    const modelClass = context.model
+    const { modelId } = context
+
+    if (context.accessType !== 'READ' || !this.hasVisibility(modelClass)) {
+      process.nextTick(() => cb(null, false))
+      return cb.promise
+    }
+    if (!modelId) {
+      process.nextTick(() => cb(null, this.options.applyToStatic))
+      return cb.promise
+    }
+
+    this.cached(`visibility:${modelClass.modelName}:${modelId}`, false, () =>
+      modelClass.findById(modelId, { }, { skipAccess: true })
+        .then(inst => (inst && inst[visibilityKey]) || 'private'))
+      .then(visibility => {
+        debug('%s %o has visibility %s', modelClass.modelName, modelId, visibility)
+        cb(null, visibility === 'public' || (visibility === 'authenticated' && Boolean(userId)))
       })
+      .catch(cb)
+    return cb.promise
   }
 
   /**
@@ -158,7 +762,23 @@ module.exports = class AccessUtils {
   }
 
   /**
-   * Get a list of group content models (models that have a belongs to relationship to the group model)
+   * Check if a model class is one of the models that the component uses to store its own data (the group access model
+   * and the invitation model).
+   *
+   * @param {Object} modelClass Model class to check.
+   * @returns {Boolean} Returns true if the model class is used internally.
+   */
+  isInternalModel(modelClass) {
+    const { invitationModel, auditModel, shareModel, transferModel } = this.options
+    const modelName = modelClass && modelClass.modelName
+
+    return this.isGroupAccessModel(modelClass) ||
+      Boolean(modelName && [ invitationModel, auditModel, shareModel, transferModel ].includes(modelName))
+  }
+
+  /**
+   * Get a list of group content models (models that have a belongs to relationship to the group model, either
+   * directly or through a chain of other group content models)
    *
    * @returns {Array} Returns a list of group content models.
    */
@@ -168,18 +788,13 @@ module.exports = class AccessUtils {
     Object.keys(this.app.models).forEach(modelName => {
       const modelClass = this.app.models[modelName]
 
-      // Mark the group itself as a group or the group access model.
-      if (this.isGroupModel(modelClass) || this.isGroupAccessModel(modelClass)) {
+      // Mark the group itself as a group or the models that the component uses internally.
+      if (this.isGroupModel(modelClass) || this.isInternalModel(modelClass)) {
         return
       }
 
-      // Try to follow belongsTo
-      for (let rel in modelClass.relations) {
-        rel = _get(modelClass, `relations.${rel}`)
-        // debug('Checking relation %s to %s: %j', r, rel.modelTo.modelName, rel);
-        if (rel.type === 'belongsTo' && this.isGroupModel(rel.modelTo)) {
-          models.push(modelName)
-        }
+      if (this.getGroupRelationPath(modelClass)) {
+        models.push(modelName)
       }
     })
 
@@ -188,41 +803,1722 @@ module.exports = class AccessUtils {
   }
 
   /**
-   * Get the access groups for a given user.
+   * Get the chain of belongsTo relations that lead from a model class to a model that belongs to the group model
+   * directly (eg, for LineItem -> Invoice -> Store this is [ LineItem.invoice ]).
    *
-   * @param {String} userId UserId to fetch access groups for.
-   * @param {Boolean} force Boolean indicating wether to bypass the cache if it exists.
-   * @param {Function} [cb] A callback function.
-   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   * @param {Object} modelClass Model class to check.
+   * @returns {Array|null} Returns a list of relations (empty for models that belong to the group model directly), or
+   * null if the model class is not group content.
    */
-  getUserGroups(userId, force, cb) {
-    force = force || false
-    cb = cb || createPromiseCallback()
-    const currentUser = this.getCurrentUser()
-    const currentUserGroups = this.getCurrentUserGroups()
+  getGroupRelationPath(modelClass) {
+    const queue = [ { modelClass, path: [ ] } ]
+    const visited = new Set([ modelClass ])
 
-    // Return from the context cache if exists.
-    if (!force && currentUser && currentUser.getId() === userId) {
-      debug('getUserGroups returning from cache: %o', currentUserGroups)
-      process.nextTick(() => cb(null, currentUserGroups))
-      return cb.promise
+    // Breadth first, so that the shortest chain wins.
+    while (queue.length) {
+      const { modelClass: current, path } = queue.shift()
+      const relations = _values(current.relations).filter(rel => rel.type === 'belongsTo' && rel.modelTo)
+
+      if (relations.some(rel => this.isGroupModel(rel.modelTo))) {
+        return path
+      }
+
+      relations.forEach(rel => {
+        if (!visited.has(rel.modelTo) && !this.isInternalModel(rel.modelTo)) {
+          visited.add(rel.modelTo)
+          queue.push({ modelClass: rel.modelTo, path: path.concat(rel) })
+        }
+      })
     }
 
-    // Otherwise lookup from the datastore.
-    this.app.models[this.options.groupAccessModel].find({
-      where: {
-        userId,
-      },
+    return null
+  }
+
+  /**
+   * Determine the group id of a model instance (or incoming data), following belongsTo chains if needed.
+   *
+   * @param {Object} modelClass The model class of the data.
+   * @param {Object} data A model instance or data object.
+   * @param {Function} [cb] A callback function.
+   * @returns {*} Returns the determined Group ID, or null.
+   */
+  getGroupIdFromData(modelClass, data, cb) {
+    cb = cb || createPromiseCallback()
+    const path = this.getGroupRelationPath(modelClass) || [ ]
+
+    // Walk up the chain until we reach a model that holds the group foreign key.
+    Promise.reduce(path, (parent, rel) => {
+      const parentId = parent && parent[rel.keyFrom]
+
+      if (!parent || isValidId(parent[this.options.foreignKey]) || !isValidId(parentId)) {
+        return parent
+      }
+      debug('following relation %s to %s with id: %o', rel.name, rel.modelTo.modelName, parentId)
+      return rel.modelTo.findById(parentId, { }, { skipAccess: true })
+    }, data)
+      .then(parent => {
+        const groupId = parent && parent[this.options.foreignKey]
+
+        cb(null, isValidId(groupId) ? groupId : null)
+      })
+      .catch(cb)
+
+    return cb.promise
+  }
+
+  /**
+   * Get the ids of the items at the start of a relation path that belong to a set of groups (eg, for
+   * [ LineItem.invoice ] these are the ids of the Invoices in the groups).
+   *
+   * @param {Array} path A list of relations, as returned by getGroupRelationPath.
+   * @param {Array} groupIds A list of group ids.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of ids.
+   */
+  getGroupRelationPathIds(path, groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const relations = path.slice().reverse()
+
+    Promise.reduce(relations, (ids, rel, index) => {
+      const where = { }
+      const key = index === 0 ? this.options.foreignKey : relations[index - 1].keyFrom
+
+      where[key] = { inq: ids }
+      return rel.modelTo.find({ where }, { skipAccess: true })
+        .then(items => items.map(item => item[rel.keyTo]))
+    }, groupIds)
+      .then(ids => cb(null, ids))
+      .catch(cb)
+
+    return cb.promise
+  }
+
+  /**
+   * Get the access groups for a given user.
+   *
+   * @param {String} userId UserId to fetch access groups for.
+   * @param {Boolean} force Boolean indicating wether to bypass the cache if it exists.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   */
+  getUserGroups(userId, force, cb) {
+    force = force || false
+    cb = cb || createPromiseCallback()
+    const currentUser = this.getCurrentUser()
+    const currentUserGroups = this.getCurrentUserGroups()
+
+    // Return from the context cache if exists.
+    if (!force && currentUser && currentUser.getId() === userId) {
+      debug('getUserGroups returning from cache: %o', currentUserGroups)
+      process.nextTick(() => cb(null, currentUserGroups))
+      return cb.promise
+    }
+
+    // Otherwise lookup from the datastore.
+    this.app.models[this.options.groupAccessModel].find({
+      where: this.getActiveMembershipWhere({
+        userId,
+      }),
+    })
+      .then(groups => {
+        debug('getUserGroups returning from datastore: %o', currentUserGroups)
+        cb(null, groups)
+      })
+      .catch(cb)
+
+    return cb.promise
+  }
+
+  /**
+   * Define the invitation model (if needed) and add the invite, acceptInvite and revokeInvite remote methods to the
+   * group model.
+   */
+  setupInvitations() {
+    const { groupModel, invitationModel, inviteRole, foreignKey } = this.options
+    const GroupModel = this.app.models[groupModel]
+    const self = this
+
+    if (!this.options.groupRoles.includes(inviteRole)) {
+      throw new Error(`${inviteRole} is not a group role and can not be used as the invite role.`)
+    }
+
+    if (!this.app.models[invitationModel]) {
+      debug('Creating invitation model %s', invitationModel)
+      const properties = {
+        email: { type: 'string', required: true },
+        role: { type: 'string', required: true },
+        token: { type: 'string', required: true, index: true },
+        expires: { type: 'date', required: true },
+        inviterId: { type: 'any' },
+        acceptedAt: { type: 'date' },
+        acceptedBy: { type: 'any' },
+      }
+      const relations = { }
+
+      properties[foreignKey] = { type: this.getIdType(GroupModel), required: true }
+      relations[_camelCase(groupModel)] = { type: 'belongsTo', model: groupModel, foreignKey }
+
+      const Invitation = this.app.registry.createModel({
+        name: invitationModel,
+        base: 'PersistedModel',
+        properties,
+        relations,
+      })
+
+      this.app.model(Invitation, { dataSource: GroupModel.dataSource, public: false })
+    }
+
+    GroupModel.prototype.invite = function invite(email, role, cb) {
+      return self.createInvitation(this.getId(), email, role, cb)
+    }
+    GroupModel.remoteMethod('invite', {
+      isStatic: false,
+      description: 'Invite a user to join the group.',
+      accepts: [
+        { arg: 'email', type: 'string', required: true },
+        { arg: 'role', type: 'string', required: true },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/invite', verb: 'post' },
+    })
+
+    GroupModel.prototype.revokeInvite = function revokeInvite(invitationId, cb) {
+      return self.revokeInvitation(this.getId(), invitationId, cb)
+    }
+    GroupModel.remoteMethod('revokeInvite', {
+      isStatic: false,
+      description: 'Revoke a pending invitation to join the group.',
+      accepts: [
+        { arg: 'invitationId', type: 'any', required: true },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/revokeInvite', verb: 'post' },
+    })
+
+    GroupModel.acceptInvite = function acceptInvite(token, cb) {
+      return self.acceptInvitation(token, cb)
+    }
+    GroupModel.remoteMethod('acceptInvite', {
+      description: 'Accept an invitation to join a group as the current user.',
+      accepts: [
+        { arg: 'token', type: 'string', required: true },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/acceptInvite', verb: 'post' },
+    })
+
+    // Grant access to the new methods.
+    GroupModel.settings.acls = (GroupModel.settings.acls || [ ]).concat([
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: inviteRole,
+        permission: 'ALLOW',
+        property: 'invite',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: inviteRole,
+        permission: 'ALLOW',
+        property: 'revokeInvite',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: '$authenticated',
+        permission: 'ALLOW',
+        property: 'acceptInvite',
+      },
+    ])
+  }
+
+  /**
+   * Get the name of a group role as stored in the group access model.
+   *
+   * @param {String} role A role name (eg, 'admin') or principalId (eg, '$group:admin').
+   * @returns {String} Returns the role name, or null if the role is not one of options.groupRoles.
+   */
+  getGroupRoleName(role) {
+    const principalId = this.options.groupRoles.find(name => name === role || this.extractRoleName(name) === role)
+
+    return principalId ? this.extractRoleName(principalId) : null
+  }
+
+  /**
+   * Create an invitation for an email address to join a group with a given role. The current user (if any) can only
+   * invite others to roles that they have in the group themselves.
+   *
+   * @param {*} groupId The group ID.
+   * @param {String} email The email address to invite.
+   * @param {String} role The role to grant.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the invitation, including the token needed to accept it.
+   */
+  createInvitation(groupId, email, role, cb) {
+    cb = cb || createPromiseCallback()
+    const Invitation = this.app.models[this.options.invitationModel]
+    const roleName = this.getGroupRoleName(role)
+    const currentUser = this.getCurrentUser()
+
+    if (!roleName) {
+      process.nextTick(() => cb(createHttpError(400, `${role} is not a valid group role.`)))
+      return cb.promise
+    }
+
+    const data = {
+      email,
+      role: roleName,
+      token: crypto.randomBytes(32).toString('hex'),
+      expires: new Date(Date.now() + this.options.invitationTtl),
+      inviterId: currentUser && currentUser.getId(),
+    }
+
+    data[this.options.foreignKey] = groupId
+    Promise.resolve(currentUser ? this.hasRoleInGroup(currentUser.getId(), roleName, groupId) : true)
+      .then(hasRole => {
+        if (!hasRole) {
+          return Promise.reject(createHttpError(403, `You can not invite users to the ${roleName} role.`))
+        }
+        return Invitation.create(data)
+      })
+      .then(invitation => {
+        debug('created invitation for %s to group %o with role %s', email, groupId, roleName)
+        cb(null, invitation)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Accept an invitation, granting its role in its group to the current user. Only the user with the invited email
+   * address can accept it.
+   *
+   * @param {String} token The invitation token.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the group access record of the new membership.
+   */
+  acceptInvitation(token, cb) {
+    cb = cb || createPromiseCallback()
+    const Invitation = this.app.models[this.options.invitationModel]
+    const GroupAccess = this.app.models[this.options.groupAccessModel]
+    const currentUser = this.getCurrentUser()
+
+    if (!currentUser) {
+      process.nextTick(() => cb(createHttpError(401, 'You must be logged in to accept an invitation.')))
+      return cb.promise
+    }
+
+    Invitation.findOne({ where: { token, acceptedAt: null } })
+      .then(invitation => {
+        if (!invitation) {
+          return Promise.reject(createHttpError(404, 'Invitation not found.'))
+        }
+        if (invitation.expires < new Date()) {
+          return Promise.reject(createHttpError(400, 'Invitation has expired.'))
+        }
+        if (String(invitation.email).toLowerCase() !== String(currentUser.email).toLowerCase()) {
+          return Promise.reject(createHttpError(403, 'This invitation was sent to a different email address.'))
+        }
+
+        const membership = { userId: currentUser.getId(), role: invitation.role }
+
+        membership[this.options.foreignKey] = invitation[this.options.foreignKey]
+        return GroupAccess.findOrCreate({ where: membership }, membership)
+          .then(res => invitation.updateAttributes({ acceptedAt: new Date(), acceptedBy: currentUser.getId() })
+            .then(() => res[0]))
+      })
+      .then(groupAccess => {
+        debug('user %o accepted invitation with token %s', currentUser.getId(), token)
+        cb(null, groupAccess)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Revoke a pending invitation to join a group.
+   *
+   * @param {*} groupId The group ID.
+   * @param {*} invitationId The invitation ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the count of deleted invitations.
+   */
+  revokeInvitation(groupId, invitationId, cb) {
+    cb = cb || createPromiseCallback()
+    const Invitation = this.app.models[this.options.invitationModel]
+
+    Invitation.findById(invitationId)
+      .then(invitation => {
+        if (!invitation || invitation.acceptedAt ||
+          String(invitation[this.options.foreignKey]) !== String(groupId)) {
+          return Promise.reject(createHttpError(404, 'Invitation not found.'))
+        }
+        return Invitation.destroyById(invitationId)
+      })
+      .then(info => {
+        debug('revoked invitation %o to group %o', invitationId, groupId)
+        cb(null, info)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Add the getMembers, setMemberRoles and removeMember remote methods to the group model.
+   */
+  setupMemberMethods() {
+    const { groupModel, groupRoles, adminRole } = this.options
+    const GroupModel = this.app.models[groupModel]
+    const self = this
+
+    if (!groupRoles.includes(adminRole)) {
+      throw new Error(`${adminRole} is not a group role and can not be used as the admin role.`)
+    }
+
+    GroupModel.prototype.getMembers = function getMembers(cb) {
+      return self.getGroupMembers(this.getId(), cb)
+    }
+    GroupModel.remoteMethod('getMembers', {
+      isStatic: false,
+      description: 'List the members of the group and their roles.',
+      returns: { arg: 'data', type: [ 'object' ], root: true },
+      http: { path: '/members', verb: 'get' },
+    })
+
+    GroupModel.prototype.setMemberRoles = function setMemberRoles(userId, roles, cb) {
+      return self.setMemberRoles(this.getId(), userId, roles, cb)
+    }
+    GroupModel.remoteMethod('setMemberRoles', {
+      isStatic: false,
+      description: 'Add a user to the group or replace their roles in the group.',
+      accepts: [
+        { arg: 'userId', type: 'any', required: true, http: { source: 'path' } },
+        { arg: 'roles', type: [ 'string' ], required: true },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/members/:userId', verb: 'put' },
+    })
+
+    GroupModel.prototype.removeMember = function removeMember(userId, cb) {
+      return self.removeMember(this.getId(), userId, cb)
+    }
+    GroupModel.remoteMethod('removeMember', {
+      isStatic: false,
+      description: 'Remove a user from the group.',
+      accepts: [
+        { arg: 'userId', type: 'any', required: true, http: { source: 'path' } },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/members/:userId', verb: 'delete' },
+    })
+
+    // Grant access to the new methods: any member can list the members, only admins can change them.
+    GroupModel.settings.acls = (GroupModel.settings.acls || [ ]).concat(groupRoles.map(principalId => ({
+      accessType: 'EXECUTE',
+      principalType: 'ROLE',
+      principalId,
+      permission: 'ALLOW',
+      property: 'getMembers',
+    })), [
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: adminRole,
+        permission: 'ALLOW',
+        property: 'setMemberRoles',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: adminRole,
+        permission: 'ALLOW',
+        property: 'removeMember',
+      },
+    ])
+  }
+
+  /**
+   * Get the active members of a group.
+   *
+   * @param {*} groupId The group ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of objects with the userId and roles of each member.
+   */
+  getGroupMembers(groupId, cb) {
+    cb = cb || createPromiseCallback()
+    const where = { }
+
+    where[this.options.foreignKey] = groupId
+    this.app.models[this.options.groupAccessModel].find({ where: this.getActiveMembershipWhere(where) })
+      .then(memberships => {
+        const members = [ ]
+
+        memberships.forEach(membership => {
+          let member = members.find(item => String(item.userId) === String(membership.userId))
+
+          if (!member) {
+            member = { userId: membership.userId, roles: [ ] }
+            members.push(member)
+          }
+          if (!member.roles.includes(membership.role)) {
+            member.roles.push(membership.role)
+          }
+        })
+        cb(null, members)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Replace the roles of a user in a group, adding the user to the group if needed. Any existing memberships of the
+   * user in the group (including ones that are not yet active or have expired) are replaced.
+   *
+   * @param {*} groupId The group ID.
+   * @param {*} userId The user ID.
+   * @param {Array} roles A list of role names (eg, 'admin') or principalIds (eg, '$group:admin').
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the userId and roles of the member.
+   */
+  setMemberRoles(groupId, userId, roles, cb) {
+    cb = cb || createPromiseCallback()
+    const GroupAccess = this.app.models[this.options.groupAccessModel]
+    const requestedRoles = [].concat(roles || [ ])
+    const invalidRole = requestedRoles.find(role => !this.getGroupRoleName(role))
+    const roleNames = _uniq(requestedRoles.map(role => this.getGroupRoleName(role)))
+
+    if (!roleNames.length || invalidRole) {
+      const message = invalidRole ? `${invalidRole} is not a valid group role.` : 'At least one role is required.'
+
+      process.nextTick(() => cb(createHttpError(400, message)))
+      return cb.promise
+    }
+
+    this.app.models[this.options.userModel].findById(userId)
+      .then(user => {
+        if (!user) {
+          return Promise.reject(createHttpError(404, 'User not found.'))
+        }
+        if (this.isAdminRole(roleNames)) {
+          return null
+        }
+        return this.checkNotLastAdmin(groupId, userId)
+      })
+      .then(() => {
+        const where = { userId }
+
+        where[this.options.foreignKey] = groupId
+        return GroupAccess.destroyAll(where)
+      })
+      .then(() => Promise.all(roleNames.map(role => {
+        const membership = { userId, role }
+
+        membership[this.options.foreignKey] = groupId
+        return GroupAccess.create(membership)
+      })))
+      .then(() => {
+        debug('set roles of user %o in group %o to %o', userId, groupId, roleNames)
+        cb(null, { userId, roles: roleNames })
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Remove a user from a group.
+   *
+   * @param {*} groupId The group ID.
+   * @param {*} userId The user ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the count of deleted memberships.
+   */
+  removeMember(groupId, userId, cb) {
+    cb = cb || createPromiseCallback()
+    const where = { userId }
+
+    where[this.options.foreignKey] = groupId
+    this.checkNotLastAdmin(groupId, userId)
+      .then(() => this.app.models[this.options.groupAccessModel].destroyAll(where))
+      .then(info => {
+        if (!info.count) {
+          return Promise.reject(createHttpError(404, 'Member not found.'))
+        }
+        debug('removed user %o from group %o', userId, groupId)
+        cb(null, info)
+        return null
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Check if a list of role names includes options.adminRole, or a role that implies it.
+   *
+   * @param {Array} roleNames A list of role names.
+   * @returns {Boolean} Returns true if the roles grant admin access.
+   */
+  isAdminRole(roleNames) {
+    const adminRoleNames = this.getImplyingRoleNames(this.extractRoleName(this.options.adminRole))
+
+    return roleNames.some(name => adminRoleNames.includes(name))
+  }
+
+  /**
+   * Ensure that a group keeps at least one admin (see options.adminRole) when a user loses their roles in it.
+   *
+   * @param {*} groupId The group ID.
+   * @param {*} userId The ID of the user that would lose their roles.
+   * @returns {Promise} Returns a promise that is rejected with a 409 error if the user is the group's last admin.
+   */
+  checkNotLastAdmin(groupId, userId) {
+    return this.getGroupMembers(groupId)
+      .then(members => {
+        const admins = members.filter(member => this.isAdminRole(member.roles))
+
+        if (admins.length === 1 && String(admins[0].userId) === String(userId)) {
+          return Promise.reject(createHttpError(409, 'The last admin of a group can not be removed or demoted.'))
+        }
+        return null
+      })
+  }
+
+  /**
+   * Allow access tokens to be restricted to a group (see createApiKey()) and add the createApiKey and revokeApiKey
+   * remote methods to the group model.
+   */
+  setupApiKeys() {
+    const { groupModel, groupRoles, adminRole } = this.options
+    const GroupModel = this.app.models[groupModel]
+    const AccessToken = this.getAccessTokenModel()
+    const self = this
+
+    if (!groupRoles.includes(adminRole)) {
+      throw new Error(`${adminRole} is not a group role and can not be used as the admin role.`)
+    }
+
+    // The access token model is shared by all group types.
+    if (!AccessToken.definition.properties.groupGrant) {
+      AccessToken.defineProperty('groupGrant', { type: 'object' })
+    }
+
+    GroupModel.prototype.createApiKey = function createApiKey(roles, ttl, cb) {
+      const currentUser = self.getCurrentUser()
+
+      return self.createApiKey(this.getId(), currentUser && currentUser.getId(), roles, ttl, cb)
+    }
+    GroupModel.remoteMethod('createApiKey', {
+      isStatic: false,
+      description: 'Create an access token for the current user that is restricted to the group and the given roles.',
+      accepts: [
+        { arg: 'roles', type: [ 'string' ], required: true },
+        { arg: 'ttl', type: 'number' },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/apiKeys', verb: 'post' },
+    })
+
+    GroupModel.prototype.revokeApiKey = function revokeApiKey(tokenId, cb) {
+      return self.revokeApiKey(this.getId(), tokenId, cb)
+    }
+    GroupModel.remoteMethod('revokeApiKey', {
+      isStatic: false,
+      description: 'Revoke an access token that is restricted to the group.',
+      accepts: [
+        { arg: 'tokenId', type: 'string', required: true, http: { source: 'path' } },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/apiKeys/:tokenId', verb: 'delete' },
+    })
+
+    // Grant access to the new methods.
+    GroupModel.settings.acls = (GroupModel.settings.acls || [ ]).concat([
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: adminRole,
+        permission: 'ALLOW',
+        property: 'createApiKey',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: adminRole,
+        permission: 'ALLOW',
+        property: 'revokeApiKey',
+      },
+    ])
+  }
+
+  /**
+   * Get the access token model of the user model.
+   *
+   * @returns {Function} Returns the access token model.
+   */
+  getAccessTokenModel() {
+    const UserModel = this.app.models[this.options.userModel]
+    const relation = UserModel && UserModel.relations.accessTokens
+
+    return (relation && relation.modelTo) || this.app.models.AccessToken
+  }
+
+  /**
+   * Create an access token that only grants the given roles in a group, regardless of the user's other memberships.
+   * The user must hold the roles in the group themselves, and the token stops granting them once the user doesn't.
+   *
+   * @param {*} groupId The group ID.
+   * @param {*} userId The ID of the user that the token is issued to.
+   * @param {String|Array} roles The role names (eg, 'member') or principalIds (eg, '$group:member') to grant.
+   * @param {Number} [ttl] The time to live of the token in seconds (defaults to options.apiKeyTtl).
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the access token.
+   */
+  createApiKey(groupId, userId, roles, ttl, cb) {
+    cb = cb || createPromiseCallback()
+    const AccessToken = this.getAccessTokenModel()
+    const roleNames = [].concat(roles || [ ]).map(role => this.getGroupRoleName(role))
+
+    if (!userId) {
+      process.nextTick(() => cb(createHttpError(401, 'You must be logged in to create an API key.')))
+      return cb.promise
+    }
+    if (!roleNames.length || roleNames.includes(null)) {
+      process.nextTick(() => cb(createHttpError(400, `${roles} is not a valid list of group roles.`)))
+      return cb.promise
+    }
+
+    Promise.map(roleNames, roleName => this.hasRoleInGroup(userId, roleName, groupId))
+      .then(results => {
+        if (results.includes(false)) {
+          return Promise.reject(createHttpError(403,
+            'An API key can not grant roles that its user does not have in the group.'))
+        }
+        return AccessToken.create({
+          userId,
+          ttl: ttl || this.options.apiKeyTtl,
+          groupGrant: { groupModel: this.options.groupModel, groupId, roles: _uniq(roleNames) },
+        })
+      })
+      .then(token => {
+        debug('created API key for user %o in group %o with roles %o', userId, groupId, roleNames)
+        cb(null, token)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Revoke an access token that is restricted to a group.
+   *
+   * @param {*} groupId The group ID.
+   * @param {String} tokenId The access token ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the count of deleted access tokens.
+   */
+  revokeApiKey(groupId, tokenId, cb) {
+    cb = cb || createPromiseCallback()
+    const AccessToken = this.getAccessTokenModel()
+
+    AccessToken.findById(tokenId)
+      .then(token => {
+        const grant = token && token.groupGrant
+
+        if (!grant || grant.groupModel !== this.options.groupModel || String(grant.groupId) !== String(groupId)) {
+          return Promise.reject(createHttpError(404, 'API key not found.'))
+        }
+        return AccessToken.destroyById(tokenId)
+      })
+      .then(info => {
+        debug('revoked API key for group %o', groupId)
+        cb(null, info)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the group grant of the access token of the current request, if the request is made as the given user.
+   *
+   * @param {*} userId The user ID.
+   * @returns {Object} Returns the grant ({ groupModel, groupId, roles }), or null.
+   */
+  getAccessGrant(userId) {
+    const ctx = LoopBackContext.getCurrentContext()
+    const grant = (ctx && ctx.get('accessGrant')) || null
+    const currentUser = this.getCurrentUser()
+
+    if (!grant || !currentUser || String(currentUser.getId()) !== String(userId)) {
+      return null
+    }
+    return grant
+  }
+
+  /**
+   * Get the group access records that an access token grant gives its user, for this group type. The grant only
+   * applies while the user is a member of the granted group (or one of its ancestors).
+   *
+   * @param {*} userId The user ID.
+   * @param {Object} grant The access token grant.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of (unsaved) group access records.
+   */
+  getGrantedGroups(userId, grant, cb) {
+    cb = cb || createPromiseCallback()
+    const GroupAccess = this.app.models[this.options.groupAccessModel]
+
+    if (grant.groupModel !== this.options.groupModel) {
+      process.nextTick(() => cb(null, [ ]))
+      return cb.promise
+    }
+
+    this.getUserGroups(userId, true)
+      .then(userGroups => this.canActivateGroup(userGroups, grant.groupId))
+      .then(isMember => {
+        if (!isMember) {
+          return [ ]
+        }
+        return grant.roles.map(role => {
+          const groupAccess = new GroupAccess({ userId, role })
+
+          groupAccess[this.options.foreignKey] = grant.groupId
+          return groupAccess
+        })
+      })
+      .then(groups => cb(null, groups))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Check if an access token grant includes one of a list of roles in a group (or one of its ancestors).
+   *
+   * @param {Object} grant The access token grant.
+   * @param {Array} roleNames The role names, of which any will do.
+   * @param {*} group The group ID.
+   * @returns {Promise} Returns a promise for true if the grant includes the role.
+   */
+  isGrantedRole(grant, roleNames, group) {
+    if (grant.groupModel !== this.options.groupModel || !grant.roles.some(role => roleNames.includes(role))) {
+      return Promise.resolve(false)
+    }
+    return this.getGroupAncestorIds(group)
+      .then(groupIds => groupIds.some(id => String(id) === String(grant.groupId)))
+  }
+
+  /**
+   * Define the share model (if needed) and add the share and revokeShare remote methods to the group model.
+   */
+  setupSharing() {
+    const { groupModel, shareModel, shareRole, foreignKey } = this.options
+    const GroupModel = this.app.models[groupModel]
+    const self = this
+
+    if (!this.options.groupRoles.includes(shareRole)) {
+      throw new Error(`${shareRole} is not a group role and can not be used as the share role.`)
+    }
+
+    if (!this.app.models[shareModel]) {
+      debug('Creating share model %s', shareModel)
+      const properties = {
+        resourceModel: { type: 'string', required: true },
+        resourceId: { type: 'string', required: true },
+        role: { type: 'string', required: true },
+        expires: { type: 'date' },
+        grantorId: { type: 'any' },
+      }
+      const relations = { }
+
+      properties[foreignKey] = { type: this.getIdType(GroupModel), required: true }
+      relations[_camelCase(groupModel)] = { type: 'belongsTo', model: groupModel, foreignKey }
+
+      const Share = this.app.registry.createModel({
+        name: shareModel,
+        base: 'PersistedModel',
+        properties,
+        relations,
+      })
+
+      this.app.model(Share, { dataSource: GroupModel.dataSource, public: false })
+    }
+
+    GroupModel.prototype.share = function share(resourceModel, resourceId, targetGroupId, role, expires, cb) {
+      return self.createShareGrant(this.getId(), { resourceModel, resourceId, targetGroupId, role, expires }, cb)
+    }
+    GroupModel.remoteMethod('share', {
+      isStatic: false,
+      description: 'Share a record of the group with the members of another group.',
+      accepts: [
+        { arg: 'resourceModel', type: 'string', required: true },
+        { arg: 'resourceId', type: 'any', required: true },
+        { arg: 'targetGroupId', type: 'any', required: true },
+        { arg: 'role', type: 'string', required: true },
+        { arg: 'expires', type: 'date' },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/shares', verb: 'post' },
+    })
+
+    GroupModel.prototype.revokeShare = function revokeShare(shareId, cb) {
+      return self.revokeShareGrant(this.getId(), shareId, cb)
+    }
+    GroupModel.remoteMethod('revokeShare', {
+      isStatic: false,
+      description: 'Revoke the sharing of a record of the group.',
+      accepts: [
+        { arg: 'shareId', type: 'any', required: true, http: { source: 'path' } },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/shares/:shareId', verb: 'delete' },
+    })
+
+    // Grant access to the new methods.
+    GroupModel.settings.acls = (GroupModel.settings.acls || [ ]).concat([
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: shareRole,
+        permission: 'ALLOW',
+        property: 'share',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: shareRole,
+        permission: 'ALLOW',
+        property: 'revokeShare',
+      },
+    ])
+  }
+
+  /**
+   * Share a record of a group with the members of another group, granting them a role for that record only. The
+   * current user (if any) can only grant roles that they have in the group of the record themselves.
+   *
+   * @param {*} groupId The ID of the group that the record belongs to.
+   * @param {Object} grant The share grant.
+   * @param {String} grant.resourceModel The name of the model of the record.
+   * @param {*} grant.resourceId The ID of the record.
+   * @param {*} grant.targetGroupId The ID of the group to share the record with.
+   * @param {String} grant.role The role to grant to the members of the target group.
+   * @param {Date} [grant.expires] The date at which the grant expires.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the share grant.
+   */
+  createShareGrant(groupId, grant, cb) {
+    cb = cb || createPromiseCallback()
+    const Share = this.app.models[this.options.shareModel]
+    const GroupModel = this.app.models[this.options.groupModel]
+    const Model = this.app.models[grant.resourceModel]
+    const roleName = this.getGroupRoleName(grant.role)
+    const currentUser = this.getCurrentUser()
+
+    if (!roleName) {
+      process.nextTick(() => cb(createHttpError(400, `${grant.role} is not a valid group role.`)))
+      return cb.promise
+    }
+    if (!this.getGroupContentModels().includes(grant.resourceModel)) {
+      process.nextTick(() => cb(createHttpError(400, `${grant.resourceModel} is not a group content model.`)))
+      return cb.promise
+    }
+    if (String(grant.targetGroupId) === String(groupId)) {
+      process.nextTick(() => cb(createHttpError(400, 'A record can not be shared with the group that it belongs to.')))
+      return cb.promise
+    }
+
+    Promise.join(this.getModelGroupId(Model, grant.resourceId),
+      GroupModel.findById(grant.targetGroupId, { }, { skipAccess: true }),
+      currentUser ? this.hasRoleInGroup(currentUser.getId(), roleName, groupId) : true,
+      (resourceGroupId, targetGroup, hasRole) => {
+        if (String(resourceGroupId) !== String(groupId)) {
+          return Promise.reject(createHttpError(404, `${grant.resourceModel} not found.`))
+        }
+        if (!targetGroup) {
+          return Promise.reject(createHttpError(404, `${this.options.groupModel} not found.`))
+        }
+        if (!hasRole) {
+          return Promise.reject(createHttpError(403,
+            `You can not share ${grant.resourceModel} with the ${roleName} role.`))
+        }
+
+        const data = {
+          resourceModel: grant.resourceModel,
+          resourceId: String(grant.resourceId),
+          role: roleName,
+          expires: grant.expires || null,
+          grantorId: currentUser && currentUser.getId(),
+        }
+
+        data[this.options.foreignKey] = grant.targetGroupId
+        return Share.create(data)
+      })
+      .then(share => {
+        debug('shared %s %o with group %o', grant.resourceModel, grant.resourceId, grant.targetGroupId)
+        cb(null, share)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Revoke a share grant for a record of a group.
+   *
+   * @param {*} groupId The ID of the group that the shared record belongs to.
+   * @param {*} shareId The share grant ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the count of deleted share grants.
+   */
+  revokeShareGrant(groupId, shareId, cb) {
+    cb = cb || createPromiseCallback()
+    const Share = this.app.models[this.options.shareModel]
+
+    Share.findById(shareId)
+      .then(share => share && this.getModelGroupId(this.app.models[share.resourceModel], share.resourceId))
+      .then(resourceGroupId => {
+        if (!resourceGroupId || String(resourceGroupId) !== String(groupId)) {
+          return Promise.reject(createHttpError(404, 'Share not found.'))
+        }
+        return Share.destroyById(shareId)
+      })
+      .then(info => {
+        debug('revoked share %o of group %o', shareId, groupId)
+        cb(null, info)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Restrict a share model where filter to share grants that have not expired.
+   *
+   * @param {Object} where A where filter for the share model.
+   * @returns {Object} Returns the restricted where filter.
+   */
+  getActiveShareWhere(where) {
+    return { and: [ where, { or: [ { expires: null }, { expires: { gt: new Date() } } ] } ] }
+  }
+
+  /**
+   * Check if a user has a role for a record through a share grant to one of their groups. Roles that imply the given
+   * role are also accepted.
+   *
+   * @param {Function} modelClass The model class.
+   * @param {*} modelId The model ID.
+   * @param {*} userId The user ID.
+   * @param {String|Array} role The role name (eg, 'admin'), or a list of role names of which any will do.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the record is shared with the user with the role.
+   */
+  hasSharedRole(modelClass, modelId, userId, role, cb) {
+    cb = cb || createPromiseCallback()
+    const { shareModel, foreignKey } = this.options
+    const roleNames = _uniq(_flatten([].concat(role).map(name => this.getImplyingRoleNames(name))))
+    const memberRoleNames = this.options.groupRoles.map(name => this.extractRoleName(name))
+
+    if (!shareModel || this.isGroupModel(modelClass)) {
+      process.nextTick(() => cb(null, false))
+      return cb.promise
+    }
+
+    this.cached(`shares:${modelClass.modelName}:${modelId}`, false, () =>
+      this.app.models[shareModel].find({
+        where: this.getActiveShareWhere({ resourceModel: modelClass.modelName, resourceId: String(modelId) }),
+      }))
+      .then(shares => Promise.map(shares.filter(share => roleNames.includes(share.role)), share =>
+        this.hasRoleInGroup(userId, memberRoleNames, share[foreignKey])))
+      .then(results => {
+        debug(`User ${userId} ${results.includes(true) ? 'HAS' : 'DOESNT HAVE'} shared ${role} role for ` +
+          `${modelClass.modelName} ${modelId}`)
+        cb(null, results.includes(true))
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the ids of the records of a model that are shared with any of a list of groups.
+   *
+   * @param {Object} Model The model class.
+   * @param {Array} groupIds The group IDs.
+   * @param {String} [accessType] The access type (READ or WRITE). Records can only be written to if they are shared
+   * with a role that may write to any record of the model (see getWriteRoleNames).
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of record ids.
+   */
+  getSharedIds(Model, groupIds, accessType, cb) {
+    if (typeof accessType === 'function') {
+      cb = accessType
+      accessType = 'READ'
+    }
+    cb = cb || createPromiseCallback()
+    const { shareModel, foreignKey } = this.options
+    const where = { resourceModel: Model && Model.modelName }
+
+    if (!shareModel || !Model || this.isGroupModel(Model)) {
+      process.nextTick(() => cb(null, [ ]))
+      return cb.promise
+    }
+
+    where[foreignKey] = { inq: groupIds }
+    Promise.resolve(accessType === 'WRITE' ? this.getWriteRoleNames(Model) : null)
+      .then(roleNames => {
+        if (roleNames) {
+          where.role = { inq: roleNames }
+        }
+        return roleNames && !roleNames.length ? [ ] :
+          this.app.models[shareModel].find({ where: this.getActiveShareWhere(where) })
+      })
+      .then(shares => cb(null, _uniq(shares.map(share => share.resourceId))))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the names of the group roles that may write to any record of a model, by the ACL entries that apply to all of
+   * its methods (like the access types checked by can()). Roles that imply these roles are included.
+   *
+   * @param {Object} Model The model class.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of role names (eg, [ 'admin' ]).
+   */
+  getWriteRoleNames(Model, cb) {
+    cb = cb || createPromiseCallback()
+    const { ACL } = this.app.models
+    const principalIds = this.options.groupRoles.concat(this.getPermissionPrincipalIds())
+
+    ACL.find({ where: { model: Model.modelName } })
+      .then(acls => {
+        const roleNames = acls.concat(ACL.getStaticACLs(Model.modelName))
+          .filter(acl => (acl.property || ACL.ALL) === ACL.ALL && [ ACL.WRITE, ACL.ALL ].includes(acl.accessType) &&
+            acl.permission === ACL.ALLOW && acl.principalType === ACL.ROLE && principalIds.includes(acl.principalId))
+          .map(acl => this.getPrincipalRoleNames(acl.principalId))
+
+        cb(null, _uniq(_flatten(_flatten(roleNames).map(roleName => this.getImplyingRoleNames(roleName)))))
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Define the transfer model (if needed) and add the transferToGroup remote method to the group content models that
+   * reference the group model directly.
+   */
+  setupTransfers() {
+    const { groupModel, transferModel, transferRole, foreignKey } = this.options
+    const GroupModel = this.app.models[groupModel]
+    const self = this
+
+    if (!this.options.groupRoles.includes(transferRole)) {
+      throw new Error(`${transferRole} is not a group role and can not be used as the transfer role.`)
+    }
+
+    if (!this.app.models[transferModel]) {
+      debug('Creating transfer model %s', transferModel)
+      const groupIdType = this.getIdType(GroupModel)
+      const Transfer = this.app.registry.createModel({
+        name: transferModel,
+        base: 'PersistedModel',
+        properties: {
+          date: { type: 'date', required: true },
+          userId: { type: 'any' },
+          model: { type: 'string', required: true },
+          modelId: { type: 'string', required: true },
+          fromGroupId: { type: groupIdType, required: true },
+          toGroupId: { type: groupIdType, required: true },
+          dependents: { type: 'object' },
+        },
+      })
+
+      this.app.model(Transfer, { dataSource: GroupModel.dataSource, public: false })
+    }
+
+    this.getGroupContentModels()
+      .map(modelName => this.app.models[modelName])
+      .filter(Model => Model.definition.properties[foreignKey])
+      .forEach(Model => {
+        debug('Adding transferToGroup method to %s', Model.modelName)
+        Model.prototype.transferToGroup = function transferToGroup(groupId, cb) {
+          return self.transferToGroup(this, groupId, cb)
+        }
+        Model.remoteMethod('transferToGroup', {
+          isStatic: false,
+          description: `Move the ${Model.modelName} and its dependent records to another ${groupModel}.`,
+          accepts: [
+            { arg: 'groupId', type: 'any', required: true },
+          ],
+          returns: { arg: 'data', type: 'object', root: true },
+          http: { path: '/transferToGroup', verb: 'post' },
+        })
+
+        // Grant access to the new method (the role in the target group is checked by the method).
+        Model.settings.acls = (Model.settings.acls || [ ]).concat([
+          {
+            accessType: 'EXECUTE',
+            principalType: 'ROLE',
+            principalId: transferRole,
+            permission: 'ALLOW',
+            property: 'transferToGroup',
+          },
+        ])
+      })
+  }
+
+  /**
+   * Move a group content model instance to another group, along with the records that depend on it (hasMany related
+   * records that reference the same group, recursively). The current user, if any, must have options.transferRole in
+   * both groups. The transfer is recorded with options.transferModel.
+   *
+   * Records of models that use the same connector as the instance are moved in a transaction if the connector supports
+   * them. The transfer is not atomic otherwise, so if a step fails the records that have already been moved are moved
+   * back to their group instead.
+   *
+   * @param {Object} instance The model instance to transfer.
+   * @param {*} groupId The ID of the group to transfer the instance to.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the transferred model instance.
+   */
+  transferToGroup(instance, groupId, cb) {
+    cb = cb || createPromiseCallback()
+    const { foreignKey, transferRole } = this.options
+    const Model = instance.constructor
+    const GroupModel = this.app.models[this.options.groupModel]
+    const Transfer = this.app.models[this.options.transferModel]
+    const fromGroupId = instance[foreignKey]
+    const currentUser = this.getCurrentUser()
+    const roleName = this.extractRoleName(transferRole)
+    const connector = Model.getConnector()
+    const { models } = this.app
+    const moved = { }
+    const data = { }
+    let transaction = null
+    let transfer = null
+
+    if (String(fromGroupId) === String(groupId)) {
+      process.nextTick(() => cb(createHttpError(400, `${Model.modelName} already belongs to this group.`)))
+      return cb.promise
+    }
+
+    // The options of the operations on a model, with the transaction if the model can use it.
+    function getOptions(modelClass) {
+      const useTransaction = transaction && modelClass.getConnector() === connector
+
+      return Object.assign({ skipAccess: true }, useTransaction && { transaction })
+    }
+
+    // Move the records that have been moved so far back to their group (for connectors without transactions).
+    function restore() {
+      const restoreData = { }
+
+      restoreData[foreignKey] = fromGroupId
+      debug('restoring %o to group %o', moved, fromGroupId)
+      return Promise.each(Object.keys(moved), modelName => {
+        const where = { }
+
+        where[models[modelName].getIdName()] = { inq: moved[modelName] }
+        return models[modelName].updateAll(where, restoreData, { skipAccess: true })
+      })
+    }
+
+    // Undo the transfer after a failure. Records that were not written in the transaction (if any) are moved back and
+    // the transfer record is deleted by hand.
+    function rollback() {
+      return Promise.resolve(transaction && transaction.rollback())
+        .then(restore)
+        .then(() => transfer && Transfer.destroyById(transfer.getId(), { skipAccess: true }))
+    }
+
+    data[foreignKey] = groupId
+    Promise.join(GroupModel.findById(groupId, { }, { skipAccess: true }),
+      currentUser ? Promise.all([
+        this.hasRoleInGroup(currentUser.getId(), roleName, fromGroupId),
+        this.hasRoleInGroup(currentUser.getId(), roleName, groupId),
+      ]) : [ ],
+      (group, results) => {
+        if (!group) {
+          return Promise.reject(createHttpError(404, `${this.options.groupModel} not found.`))
+        }
+        if (results.includes(false)) {
+          return Promise.reject(createHttpError(403,
+            `You need the ${transferRole} role in both groups to transfer ${Model.modelName}.`))
+        }
+        if (typeof connector.beginTransaction !== 'function') {
+          return null
+        }
+        return Model.beginTransaction({ })
+          .then(res => {
+            transaction = res
+          })
+      })
+      .then(() => {
+        moved[Model.modelName] = [ instance.getId() ]
+        return instance.updateAttributes(data, getOptions(Model))
+          .then(() => this.transferDependents(Model, [ instance ], fromGroupId, groupId, moved, getOptions))
+          .then(() => Transfer.create({
+            date: new Date(),
+            userId: currentUser && currentUser.getId(),
+            model: Model.modelName,
+            modelId: String(instance.getId()),
+            fromGroupId,
+            toGroupId: groupId,
+            dependents: _omit(moved, Model.modelName),
+          }, getOptions(Transfer)))
+          .then(res => {
+            transfer = res
+            return transaction && transaction.commit()
+          })
+          // Keep the error that made the transfer fail, even if it could not be undone.
+          .catch(err => rollback()
+            .catch(rollbackErr => debug('failed to roll back the transfer of %s %o: %s', Model.modelName,
+              instance.getId(), rollbackErr.message))
+            .then(() => {
+              instance.setAttribute(foreignKey, fromGroupId)
+              return Promise.reject(err)
+            }))
+      })
+      .then(() => {
+        debug('transferred %s %o from group %o to group %o', Model.modelName, instance.getId(), fromGroupId, groupId)
+
+        // Group ids that were looked up during this request are no longer valid.
+        this.clearCache('group:')
+        cb(null, instance)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Move the records that depend on a list of model instances (through hasMany relations to models that reference the
+   * group model) from one group to another, recursively.
+   *
+   * @param {Object} Model The model class of the instances.
+   * @param {Array} instances The model instances.
+   * @param {*} fromGroupId The ID of the group to move the records from.
+   * @param {*} toGroupId The ID of the group to move the records to.
+   * @param {Object} moved A map of model names to the ids of the records that have been moved.
+   * @param {Function} [getOptions] A function that returns the operation options for a model class.
+   * @returns {Promise} Returns a promise for the map of moved records.
+   */
+  transferDependents(Model, instances, fromGroupId, toGroupId, moved, getOptions) {
+    const { foreignKey } = this.options
+    const relations = _values(Model.relations).filter(rel => rel.type === 'hasMany' && !rel.modelThrough &&
+      rel.modelTo && rel.modelTo.definition.properties[foreignKey])
+
+    getOptions = getOptions || (() => ({ skipAccess: true }))
+    return Promise.each(relations, rel => {
+      const where = { }
+      const data = { }
+
+      where[rel.keyTo] = { inq: instances.map(inst => inst[rel.keyFrom]) }
+      where[foreignKey] = fromGroupId
+      data[foreignKey] = toGroupId
+
+      return rel.modelTo.find({ where }, getOptions(rel.modelTo))
+        .then(dependents => {
+          if (!dependents.length) {
+            return null
+          }
+
+          const ids = dependents.map(dependent => dependent.getId())
+          const idWhere = { }
+
+          idWhere[rel.modelTo.getIdName()] = { inq: ids }
+          moved[rel.modelTo.modelName] = (moved[rel.modelTo.modelName] || [ ]).concat(ids)
+          debug('transferring %s %o to group %o', rel.modelTo.modelName, ids, toGroupId)
+          return rel.modelTo.updateAll(idWhere, data, getOptions(rel.modelTo))
+            .then(() => this.transferDependents(rel.modelTo, dependents, fromGroupId, toGroupId, moved, getOptions))
+        })
     })
+      .then(() => moved)
+  }
+
+  /**
+   * Add an operation hook to the group model that handles the content and memberships of deleted groups (see
+   * options.onGroupDelete).
+   */
+  setupGroupLifecycle() {
+    const { groupModel, onGroupDelete, archivedKey } = this.options
+    const GroupModel = this.app.models[groupModel]
+
+    if (![ 'cascade', 'archive', 'block' ].includes(onGroupDelete)) {
+      throw new Error(`${onGroupDelete} is not a valid onGroupDelete action.`)
+    }
+
+    if (onGroupDelete === 'archive' && !GroupModel.definition.properties[archivedKey]) {
+      GroupModel.defineProperty(archivedKey, { type: 'boolean', default: false })
+    }
+
+    GroupModel.observe('before delete', ctx => this.getWritableWhere(ctx)
+      .then(where => GroupModel.find({ where }, { skipAccess: true }))
       .then(groups => {
-        debug('getUserGroups returning from datastore: %o', currentUserGroups)
-        cb(null, groups)
+        const groupIds = groups.map(group => group.getId())
+        const where = { }
+
+        if (!groupIds.length) {
+          return null
+        }
+        where[GroupModel.getIdName()] = { inq: groupIds }
+
+        if (onGroupDelete === 'archive') {
+          const data = { }
+          const noMatch = { }
+
+          // Archive the groups and turn the delete into a no-op.
+          data[archivedKey] = true
+          noMatch[GroupModel.getIdName()] = { inq: [ ] }
+          return GroupModel.updateAll(where, data, { skipAccess: true })
+            .then(() => {
+              debug('archived %s %o instead of deleting', groupModel, groupIds)
+              ctx.where = noMatch
+            })
+        }
+        if (onGroupDelete === 'block') {
+          return this.countGroupContent(groupIds)
+            .then(count => {
+              if (count) {
+                return Promise.reject(createHttpError(409, `Can not delete a ${groupModel} that has content.`))
+              }
+              return this.deleteGroupContent(groupIds)
+            })
+        }
+        return this.deleteGroupContent(groupIds)
+      }))
+  }
+
+  /**
+   * Build a where filter that matches the content of a model that belongs to a set of groups.
+   *
+   * @param {Object} Model The group content model.
+   * @param {Array} groupIds A list of group ids.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns a where filter.
+   */
+  getGroupContentWhere(Model, groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const path = this.getGroupRelationPath(Model) || [ ]
+    const key = path.length ? path[0].keyFrom : this.options.foreignKey
+
+    this.getGroupRelationPathIds(path, groupIds)
+      .then(ids => {
+        const where = { }
+
+        where[key] = { inq: ids }
+        cb(null, where)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Count the content that directly belongs to a set of groups (content that belongs to the groups through other
+   * content can only exist if the groups have direct content as well).
+   *
+   * @param {Array} groupIds A list of group ids.
+   * @param {Function} [cb] A callback function.
+   * @returns {Number} Returns the number of content records.
+   */
+  countGroupContent(groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const { foreignKey } = this.options
+    const models = this.getGroupContentModels()
+      .map(modelName => this.app.models[modelName])
+      .filter(Model => Model.definition.properties[foreignKey])
+
+    Promise.map(models, Model => {
+      const where = { }
+
+      where[foreignKey] = { inq: groupIds }
+      return Model.count(where, { skipAccess: true })
+    })
+      .then(counts => cb(null, counts.reduce((total, count) => total + count, 0)))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Delete the content, memberships and pending invitations of a set of groups.
+   *
+   * @param {Array} groupIds A list of group ids.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns a map of model names to the number of deleted records.
+   */
+  deleteGroupContent(groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const { foreignKey, groupAccessModel, invitationModel } = this.options
+    const groupWhere = { }
+    const models = this.getGroupContentModels().map(modelName => this.app.models[modelName])
+
+    groupWhere[foreignKey] = { inq: groupIds }
+
+    // Find all content before deleting any, as content can belong to the groups through other content.
+    Promise.map(models, Model => this.getGroupContentWhere(Model, groupIds))
+      .then(wheres => {
+        const deletions = models.map((Model, i) => ({ Model, where: wheres[i] }))
+
+        deletions.push({ Model: this.app.models[groupAccessModel], where: groupWhere })
+        if (invitationModel) {
+          deletions.push({ Model: this.app.models[invitationModel], where: groupWhere })
+        }
+        return Promise.map(deletions, deletion => deletion.Model.destroyAll(deletion.where, { skipAccess: true })
+          .then(info => [ deletion.Model.modelName, info.count ]))
+      })
+      .then(counts => {
+        const res = _fromPairs(counts)
+
+        debug('deleted content of %s %o: %o', this.options.groupModel, groupIds, res)
+        cb(null, res)
       })
       .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the ids of the archived groups among a set of groups (see options.onGroupDelete).
+   *
+   * @param {Array} groupIds A list of group ids.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of archived group ids.
+   */
+  getArchivedGroupIds(groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const GroupModel = this.app.models[this.options.groupModel]
+    const where = { }
+
+    if (this.options.onGroupDelete !== 'archive' || !groupIds.length) {
+      process.nextTick(() => cb(null, [ ]))
+      return cb.promise
+    }
+
+    where[GroupModel.getIdName()] = { inq: groupIds }
+    where[this.options.archivedKey] = true
+    GroupModel.find({ where }, { skipAccess: true })
+      .then(groups => cb(null, groups.map(group => group.getId())))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Check if a security context is an attempt to change content of an archived group, which is read-only.
+   *
+   * @param {Object} context The security context.
+   * @param {Array} [groupIds] The groups that the access decision was based on, if known.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the context writes to an archived group.
+   */
+  isArchivedGroupWrite(context, groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const { model, modelId } = context
+    const knownGroupIds = groupIds || [ ]
+    let contextGroupIds = Promise.resolve(knownGroupIds)
+
+    if (this.options.onGroupDelete !== 'archive' || context.accessType === 'READ') {
+      process.nextTick(() => cb(null, false))
+      return cb.promise
+    }
+
+    if (!knownGroupIds.length && modelId) {
+      contextGroupIds = this.isGroupModel(model) ? Promise.resolve([ modelId ]) :
+        this.getModelGroupId(model, modelId).then(groupId => [ groupId ].filter(Boolean))
+    }
+
+    contextGroupIds
+      .then(ids => this.getArchivedGroupIds(ids))
+      .then(archivedIds => cb(null, archivedIds.length > 0))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Restrict a group access where filter to memberships that are within their validity window (see
+   * options.validFromKey and options.validUntilKey).
+   *
+   * @param {Object} where A where filter for the group access model.
+   * @returns {Object} Returns the restricted where filter.
+   */
+  getActiveMembershipWhere(where) {
+    const { properties } = this.app.models[this.options.groupAccessModel].definition
+    const { validFromKey, validUntilKey } = this.options
+    const now = new Date()
+    const conditions = [ where ]
+
+    if (validFromKey && properties[validFromKey]) {
+      const notSet = { }
+      const started = { }
+
+      notSet[validFromKey] = null
+      started[validFromKey] = { lte: now }
+      conditions.push({ or: [ notSet, started ] })
+    }
+    if (validUntilKey && properties[validUntilKey]) {
+      const notSet = { }
+      const notExpired = { }
+
+      notSet[validUntilKey] = null
+      notExpired[validUntilKey] = { gt: now }
+      conditions.push({ or: [ notSet, notExpired ] })
+    }
+
+    return conditions.length > 1 ? { and: conditions } : where
+  }
+
+  /**
+   * Get a where filter that matches expired memberships, or null if memberships don't expire.
+   *
+   * @returns {Object} A where filter for the group access model.
+   */
+  getExpiredMembershipWhere() {
+    const { properties } = this.app.models[this.options.groupAccessModel].definition
+    const { validUntilKey } = this.options
+    const where = { }
+
+    if (!validUntilKey || !properties[validUntilKey]) {
+      return null
+    }
+    where[validUntilKey] = { lte: new Date() }
+    return where
+  }
+
+  /**
+   * Get the memberships that have expired.
+   *
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of expired group access records.
+   */
+  getExpiredMemberships(cb) {
+    cb = cb || createPromiseCallback()
+    const where = this.getExpiredMembershipWhere()
+
+    if (!where) {
+      process.nextTick(() => cb(null, [ ]))
+      return cb.promise
+    }
+
+    this.app.models[this.options.groupAccessModel].find({ where })
+      .then(memberships => cb(null, memberships))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Delete the memberships that have expired.
+   *
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns an object with the count of deleted records.
+   */
+  purgeExpiredMemberships(cb) {
+    cb = cb || createPromiseCallback()
+    const where = this.getExpiredMembershipWhere()
+
+    if (!where) {
+      process.nextTick(() => cb(null, { count: 0 }))
+      return cb.promise
+    }
 
+    this.app.models[this.options.groupAccessModel].destroyAll(where)
+      .then(info => {
+        debug('purged %d expired memberships', info.count)
+        cb(null, info)
+      })
+      .catch(cb)
     return cb.promise
   }
 
+  /**
+   * Get the cache for the current request, creating it if needed.
+   *
+   * @returns {Object} Returns the request cache, or null if there is no loopback context.
+   */
+  getRequestCache() {
+    const ctx = LoopBackContext.getCurrentContext()
+
+    if (!ctx) {
+      return null
+    }
+
+    let requestCache = ctx.get('accessCache')
+
+    if (!requestCache) {
+      requestCache = new AccessCache({ max: Infinity })
+      ctx.set('accessCache', requestCache)
+    }
+    return requestCache
+  }
+
+  /**
+   * Return the result of a lookup from the request cache (or the shared cache) if it exists, otherwise perform the
+   * lookup and cache the result.
+   *
+   * @param {String} key The cache key.
+   * @param {Boolean} shared Boolean indicating wether the result can be cached across requests.
+   * @param {Function} lookup A function that returns the value, or a promise for it.
+   * @returns {Promise} Returns a promise for the value.
+   */
+  cached(key, shared, lookup) {
+    // The request cache is shared by all group types.
+    key = `${this.options.groupModel}:${key}`
+    const requestCache = this.getRequestCache()
+    const sharedCache = shared ? this.sharedCache : null
+    let promise = null
+
+    if (requestCache && requestCache.has(key)) {
+      this.cacheStats.requestHits += 1
+      debug('cache hit (request): %s', key)
+      return requestCache.get(key)
+    }
+    if (requestCache) {
+      this.cacheStats.requestMisses += 1
+    }
+
+    if (sharedCache && sharedCache.has(key)) {
+      this.cacheStats.sharedHits += 1
+      debug('cache hit (shared): %s', key)
+      promise = Promise.resolve(sharedCache.get(key))
+    }
+    else {
+      if (sharedCache) {
+        this.cacheStats.sharedMisses += 1
+      }
+      promise = Promise.resolve(lookup())
+      if (sharedCache) {
+        promise = promise.tap(value => sharedCache.set(key, value))
+      }
+    }
+
+    // Cache the promise itself so that concurrent lookups within a request are only performed once.
+    if (requestCache) {
+      requestCache.set(key, promise)
+      promise.catch(() => requestCache.delete(key))
+    }
+    return promise
+  }
+
+  /**
+   * Remove entries from the request and shared caches.
+   *
+   * @param {String} [prefix] Only remove entries whose key starts with this prefix.
+   */
+  clearCache(prefix) {
+    const requestCache = this.getRequestCache()
+
+    prefix = `${this.options.groupModel}:${prefix || ''}`
+
+    if (requestCache) {
+      requestCache.clear(prefix)
+    }
+    if (this.sharedCache) {
+      this.sharedCache.clear(prefix)
+    }
+  }
+
+  /**
+   * Get the cache hit and miss counts, for tuning the cache options.
+   *
+   * @returns {Object} Returns the hit and miss counts for the request and shared caches, and the shared cache size.
+   */
+  getCacheStats() {
+    return Object.assign({
+      sharedSize: this.sharedCache ? this.sharedCache.size : 0,
+    }, this.cacheStats)
+  }
+
   /**
    * Get the currently logged in user.
    *
@@ -236,35 +2532,161 @@ module.exports = class AccessUtils {
   }
 
   /**
-   * Get the currently logged in user's access groups from the current request cache.
+   * Get the user that is impersonating the current user (see options.impersonateRole).
+   *
+   * @returns {Object} Returns the impersonating user, or null.
+   */
+  getImpersonator() {
+    const ctx = LoopBackContext.getCurrentContext()
+
+    return (ctx && ctx.get('impersonator')) || null
+  }
+
+  /**
+   * Get the currently logged in user's access groups of this group type from the current request cache.
+   *
+   * @returns {Array} Returnds a list of access groups the user is a member of.
+   */
+  getCurrentUserGroups() {
+    const ctx = LoopBackContext.getCurrentContext()
+    const currentUserGroups = (ctx && ctx.get('currentUserGroups')) || []
+
+    // The request cache holds the memberships of every group type.
+    return currentUserGroups.filter(group => this.isGroupAccessModel(group.constructor))
+  }
+
+  /**
+   * Get the group that the current request has been scoped to (see options.activeGroupHeader and
+   * options.activeGroupParam).
+   *
+   * @returns {*} Returns the active group ID, or null.
+   */
+  getActiveGroupId() {
+    const ctx = LoopBackContext.getCurrentContext()
+    const activeGroups = (ctx && ctx.get('activeGroups')) || { }
+
+    return isValidId(activeGroups[this.options.groupModel]) ? activeGroups[this.options.groupModel] : null
+  }
+
+  /**
+   * Get the group that a request asks to be scoped to, from the options.activeGroupHeader header or the
+   * options.activeGroupParam query string parameter.
+   *
+   * @param {Object} req The request.
+   * @returns {String} Returns the requested group ID, or null.
+   */
+  getRequestedGroupId(req) {
+    const { activeGroupHeader, activeGroupParam } = this.options
+
+    return (activeGroupHeader && req.get(activeGroupHeader)) ||
+      (activeGroupParam && req.query && req.query[activeGroupParam]) || null
+  }
+
+  /**
+   * Check if a user can scope requests to a group, which requires a membership of the group or one of its ancestors.
+   *
+   * @param {Array} userGroups The group access records of the user.
+   * @param {*} groupId The group ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the user can scope requests to the group.
+   */
+  canActivateGroup(userGroups, groupId, cb) {
+    cb = cb || createPromiseCallback()
+    const memberGroupIds = userGroups
+      .filter(group => this.isGroupAccessModel(group.constructor))
+      .map(group => String(group[this.options.foreignKey]))
+
+    this.getGroupAncestorIds(groupId)
+      .then(groupIds => cb(null, groupIds.some(id => memberGroupIds.includes(String(id)))))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Valid that a principalId conforms to the expected format.
+   *
+   * @param {String} principalId A principalId.
+   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   */
+  isValidPrincipalId(principalId) {
+    return Boolean(this.extractRoleName(principalId))
+  }
+
+  /**
+   * Extract the role name from a principalId (eg, for '$group:admin' the role name is 'admin').
+   *
+   * @param {String} principalId A principalId.
+   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   */
+  extractRoleName(principalId) {
+    return principalId.split(':')[1]
+  }
+
+  /**
+   * Get the names of all roles that grant a given role, including the role itself (eg, for 'member' this may be
+   * [ 'member', 'manager', 'admin' ]).
+   *
+   * @param {String} roleName A role name.
+   * @returns {Array} Returns a list of role names.
+   */
+  getImplyingRoleNames(roleName) {
+    const roleNames = [ roleName ]
+
+    // Walk the implication graph backwards, visiting each role once.
+    for (let i = 0; i < roleNames.length; i++) {
+      Object.keys(this.roleImplications).forEach(name => {
+        if (!roleNames.includes(name) && this.roleImplications[name].includes(roleNames[i])) {
+          roleNames.push(name)
+        }
+      })
+    }
+
+    return roleNames
+  }
+
+  /**
+   * Get the principalIds of all permissions granted in options.rolePermissions (eg, '$group:can:invoice.approve').
    *
-   * @returns {Array} Returnds a list of access groups the user is a member of.
+   * @returns {Array} Returns a list of principalIds.
    */
-  getCurrentUserGroups() {
-    const ctx = LoopBackContext.getCurrentContext()
-    const currentUserGroups = (ctx && ctx.get('currentUserGroups')) || []
+  getPermissionPrincipalIds() {
+    const { rolePermissions } = this.options
 
-    return currentUserGroups
+    return _uniq(_flatten(Object.keys(rolePermissions).map(name => {
+      const prefix = name.split(':')[0]
+
+      return rolePermissions[name].map(permission => `${prefix}:can:${permission}`)
+    })))
   }
 
   /**
-   * Valid that a principalId conforms to the expected format.
+   * Check if a principalId refers to a permission rather than a role (eg, '$group:can:invoice.approve').
    *
    * @param {String} principalId A principalId.
-   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   * @returns {Boolean} Returns true if the principalId refers to a permission.
    */
-  isValidPrincipalId(principalId) {
-    return Boolean(this.extractRoleName(principalId))
+  isPermissionPrincipalId(principalId) {
+    return principalId.split(':')[1] === 'can'
   }
 
   /**
-   * Extract the role name from a principalId (eg, for '$group:admin' the role name is 'admin').
+   * Get the names of the roles that satisfy a principalId. For a permission this is each role that has been granted
+   * the permission, otherwise it is the role itself.
    *
    * @param {String} principalId A principalId.
-   * @returns {Boolean} Returns true if the principalId is on the expected format.
+   * @returns {Array} Returns a list of role names.
    */
-  extractRoleName(principalId) {
-    return principalId.split(':')[1]
+  getPrincipalRoleNames(principalId) {
+    if (!this.isPermissionPrincipalId(principalId)) {
+      return [ this.extractRoleName(principalId) ]
+    }
+
+    const { rolePermissions } = this.options
+    const permission = principalId.split(':').slice(2).join(':')
+
+    return Object.keys(rolePermissions)
+      .filter(name => rolePermissions[name].includes(permission))
+      .map(name => this.extractRoleName(name))
   }
 
   /**
@@ -281,23 +2703,44 @@ module.exports = class AccessUtils {
       const modelClass = context.model
       const { modelId } = context
       const userId = context.getUserId()
-      const roleName = this.extractRoleName(role)
-      const GroupAccess = this.app.models[this.options.groupAccessModel]
+      const roleName = this.getPrincipalRoleNames(role)
       const scope = { }
+      const done = (res, groupIds) => {
+        // Content that is visible to the user (see options.visibilityKey) can be read without the role.
+        Promise.resolve(res || this.isVisibleTo(context, userId))
+          // Content of archived groups is read-only (see options.onGroupDelete).
+          .then(allowed => allowed && this.isArchivedGroupWrite(context, groupIds).then(archived => !archived))
+          // Wait for the decision to be recorded, so that no work of the request outlives it.
+          .then(allowed => this.recordAccessDecision(context, role, allowed, groupIds)
+            .then(() => cb(null, allowed)))
+          .catch(cb)
+      }
 
       debug(`Role resolver for ${role}: evaluate ${modelClass.modelName} with id: ${modelId} for user: ${userId}`)
 
+      const loopbackContext = LoopBackContext.getCurrentContext()
+
+      if (loopbackContext) {
+        loopbackContext.set('groupAccessApplied', true)
+      }
+
+      // Note the model instance that the ACLs are checked for, as the request can only proceed if access is granted.
+      // The list is copied, as it can be inherited from an enclosing context.
+      if (loopbackContext && modelId) {
+        const checkedInstances = loopbackContext.get('groupAccessInstances') || [ ]
+
+        loopbackContext.set('groupAccessInstances', checkedInstances.concat(`${modelClass.modelName}:${modelId}`))
+      }
+
       // No userId is present
       if (!userId) {
         process.nextTick(() => {
           debug('Deny access for anonymous user')
-          cb(null, false)
+          done(false, [ ])
         })
         return cb.promise
       }
 
-      LoopBackContext.getCurrentContext().set('groupAccessApplied', true)
-
       /**
        * Basic application that does not cover static methods. Similar to $owner. (RECOMMENDED)
        */
@@ -306,13 +2749,13 @@ module.exports = class AccessUtils {
           process.nextTick(() => {
             debug('Deny access (context: %s, context.model: %s, context.modelId: %s)',
               Boolean(context), Boolean(modelClass), Boolean(modelId))
-            cb(null, false)
+            done(false, [ ])
           })
           return cb.promise
         }
 
         this.isGroupMemberWithRole(modelClass, modelId, userId, roleName)
-          .then(res => cb(null, res))
+          .then(res => done(res))
           .catch(cb)
 
         return cb.promise
@@ -326,41 +2769,39 @@ module.exports = class AccessUtils {
           if (!currentGroupId) {
             // TODO: Use promise cancellation to abort the chain early.
             // Causes the access check to be bypassed (see below).
-            return [ false ]
+            return [ null ]
           }
 
           scope.currentGroupId = currentGroupId
           scope.targetGroupId = targetGroupId
-          const actions = [ ]
-          const conditions = { userId, role: roleName }
-
-          conditions[this.options.foreignKey] = currentGroupId
-          actions.push(GroupAccess.count(conditions))
+          const actions = [
+            this.hasRoleInGroup(userId, roleName, currentGroupId)
+              .then(res => res || (modelId ? this.hasSharedRole(modelClass, modelId, userId, roleName) : false)),
+          ]
 
           // If this is an attempt to save the item into a new group, check the user has access to the target group.
           if (targetGroupId && targetGroupId !== currentGroupId) {
-            conditions[this.options.foreignKey] = targetGroupId
-            actions.push(GroupAccess.count(conditions))
+            actions.push(this.hasRoleInGroup(userId, roleName, targetGroupId))
           }
 
           return actions
         })
-        .spread((currentGroupCount, targetGroupCount) => {
+        .spread((currentGroupMember, targetGroupMember) => {
           let res = false
 
-          if (currentGroupCount === false) {
+          if (currentGroupMember === null) {
             // No group context was determined, so allow passthrough access.
             res = true
           }
           else {
             // Determine grant based on the current/target group context.
-            res = currentGroupCount > 0
+            res = currentGroupMember
 
             debug(`user ${userId} ${res ? 'is a' : 'is not a'} ${roleName} of group ${scope.currentGroupId}`)
 
             // If it's an attempt to save  into a new group, also ensure the user has access to the target group.
             if (scope.targetGroupId && scope.targetGroupId !== scope.currentGroupId) {
-              const tMember = targetGroupCount > 0
+              const tMember = targetGroupMember
 
               debug(`user ${userId} ${tMember ? 'is a' : 'is not a'} ${roleName} of group ${scope.targetGroupId}`)
               res = res && tMember
@@ -368,23 +2809,553 @@ module.exports = class AccessUtils {
           }
 
           // Note the fact that we are allowing access due to passing an ACL.
-          if (res) {
-            LoopBackContext.getCurrentContext().set('groupAccessApplied', true)
+          if (res && loopbackContext) {
+            loopbackContext.set('groupAccessApplied', true)
           }
 
-          return cb(null, res)
+          return done(res, _uniq([ scope.currentGroupId, scope.targetGroupId ].filter(Boolean)))
         })
         .catch(cb)
       return cb.promise
     })
   }
 
+  /**
+   * Add operation hooks to the group access model that prevent impersonated requests (see options.impersonateRole)
+   * from changing group memberships.
+   */
+  setupImpersonation() {
+    const { groupAccessModel, impersonateRole } = this.options
+    const GroupAccessModel = this.app.models[groupAccessModel]
+    const self = this
+
+    if (this.groupTypes.some(groupType => groupType.options.groupRoles.includes(impersonateRole))) {
+      throw new Error(`${impersonateRole} is a group role and can not be used as the impersonate role.`)
+    }
+
+    // Block changes regardless of options.skipAccess, as they include the side effects of other remote methods.
+    function rejectImpersonated(ctx) {
+      const impersonator = self.getImpersonator()
+
+      if (impersonator) {
+        debug('%s change by impersonator %o rejected', ctx.Model.modelName, impersonator.getId())
+        return Promise.reject(createHttpError(403, `Can not change ${groupAccessModel} while impersonating a user.`))
+      }
+      return Promise.resolve()
+    }
+
+    GroupAccessModel.observe('before save', rejectImpersonated)
+    GroupAccessModel.observe('before delete', rejectImpersonated)
+  }
+
+  /**
+   * Add operation hooks that authorize the writes of code that runs as a user (see runAs()) with the ACLs of the
+   * corresponding remote methods, as a remote request is authorized before it reaches the model.
+   */
+  setupRunAsAccess() {
+    const { ACL } = this.app.models
+    const models = [ this.options.groupModel ].concat(this.getGroupContentModels())
+    const self = this
+
+    // Get the id of the record that a where filter is limited to (if any), including when the access filters have
+    // combined it with other conditions.
+    function getWhereId(Model, where) {
+      const id = _get(where, Model.getIdName())
+
+      if (isValidId(id) && typeof id !== 'object') {
+        return id
+      }
+      return [].concat(_get(where, 'and') || [ ]).map(item => getWhereId(Model, item)).find(isValidId) || null
+    }
+
+    // Get the remote method that an operation corresponds to (or the access type, for bulk operations), along with the
+    // id of the record and the data that is saved.
+    function getAction(ctx, isDelete) {
+      const instance = ctx.currentInstance || ctx.instance
+      const id = instance ? instance.getId() : getWhereId(ctx.Model, ctx.where)
+      const data = isDelete ? null : ctx.data || ctx.instance.toObject()
+
+      if (ctx.isNewInstance) {
+        return [ 'create', null, data ]
+      }
+      if (!isValidId(id)) {
+        return [ ACL.WRITE, null, data ]
+      }
+      return [ isDelete ? 'deleteById' : 'updateAttributes', id, data ]
+    }
+
+    function authorize(ctx, isDelete) {
+      const loopbackContext = LoopBackContext.getCurrentContext()
+      const currentUser = self.getCurrentUser()
+
+      if (ctx.options.skipAccess || !currentUser || !loopbackContext || !loopbackContext.get('runAs')) {
+        return Promise.resolve()
+      }
+
+      const [ action, modelId, data ] = getAction(ctx, isDelete)
+
+      return self.can(currentUser.getId(), action, ctx.Model, modelId, data)
+        .then(res => {
+          if (!res.allowed) {
+            debug('runAs: %s of %s %o denied: %s', action, ctx.Model.modelName, modelId, res.reason)
+            return Promise.reject(createHttpError(403, `You are not allowed to ${action} ${ctx.Model.modelName}.`))
+          }
+          return null
+        })
+    }
+
+    models.forEach(modelName => {
+      const Model = this.app.models[modelName]
+
+      Model.observe('before save', ctx => authorize(ctx, false))
+      Model.observe('before delete', ctx => authorize(ctx, true))
+    })
+  }
+
+  /**
+   * Define the audit model (if needed) and record access decisions with it.
+   */
+  setupAuditLog() {
+    const { auditModel, groupModel } = this.options
+
+    if (!this.app.models[auditModel]) {
+      debug('Creating audit model %s', auditModel)
+      const AccessDecision = this.app.registry.createModel({
+        name: auditModel,
+        base: 'PersistedModel',
+        properties: {
+          date: { type: 'date', required: true },
+          userId: { type: 'any' },
+          model: { type: 'string', required: true },
+          modelId: { type: 'any' },
+          method: { type: 'string' },
+          accessType: { type: 'string' },
+          principal: { type: 'string', required: true },
+          groupModel: { type: 'string', required: true },
+          groupIds: { type: [ 'any' ] },
+          allowed: { type: 'boolean', required: true },
+        },
+      })
+
+      this.app.model(AccessDecision, { dataSource: this.app.models[groupModel].dataSource, public: false })
+    }
+
+    this.auditSinks.push(decision => this.app.models[auditModel].create(decision))
+  }
+
+  /**
+   * Register a function to record access decisions with, for all group types. The function is called with an object
+   * describing each decision and can return a promise.
+   *
+   * @param {Function} sink The function to call.
+   */
+  addAuditSink(sink) {
+    this.groupTypes.forEach(groupType => {
+      groupType.auditSinks.push(sink)
+    })
+  }
+
+  /**
+   * Record an access decision made by a role resolver with each audit sink, subject to options.auditDenialsOnly and
+   * options.auditSampleRate. Failures are logged but do not affect the decision.
+   *
+   * @param {Object} context The access context that was evaluated.
+   * @param {String} principal The role that was evaluated.
+   * @param {Boolean} allowed Boolean indicating wether access was granted.
+   * @param {Array} [groupIds] The groups that were checked (determined from the context if not given).
+   * @returns {Promise} Returns a promise that resolves once the decision has been recorded.
+   */
+  recordAccessDecision(context, principal, allowed, groupIds) {
+    const { auditDenialsOnly, auditSampleRate } = this.options
+    const { modelId } = context
+    const modelClass = context.model
+
+    const loopbackContext = LoopBackContext.getCurrentContext()
+
+    if (!this.auditSinks.length || (auditDenialsOnly && allowed) || Math.random() >= auditSampleRate) {
+      return Promise.resolve()
+    }
+    if (loopbackContext && loopbackContext.get('accessExplain')) {
+      debug('not recording access decision made by explain()')
+      return Promise.resolve()
+    }
+
+    let groups = groupIds
+
+    if (!groups && this.isGroupModel(modelClass)) {
+      groups = [ modelId ]
+    }
+    else if (!groups) {
+      groups = this.getModelGroupId(modelClass, modelId).then(groupId => (groupId ? [ groupId ] : [ ]))
+    }
+
+    return Promise.resolve(groups)
+      .then(ids => {
+        const decision = {
+          date: new Date(),
+          userId: context.getUserId(),
+          model: modelClass.modelName,
+          modelId,
+          method: context.property,
+          accessType: context.accessType,
+          principal,
+          groupModel: this.options.groupModel,
+          groupIds: ids,
+          allowed: Boolean(allowed),
+        }
+
+        debug('recording access decision: %o', decision)
+        return Promise.all(this.auditSinks.map(sink => sink(decision)))
+      })
+      .catch(err => debug('Failed to record access decision: %s', err.message))
+  }
+
+  /**
+   * Add the explain remote method to the group model.
+   */
+  setupExplain() {
+    const GroupModel = this.app.models[this.options.groupModel]
+
+    GroupModel.explain = (userId, model, method, modelId, data, cb) =>
+      this.explain({ userId, model, method, modelId, data }, cb)
+    GroupModel.remoteMethod('explain', {
+      description: 'Explain why a user is allowed or denied access to a method.',
+      accepts: [
+        { arg: 'userId', type: 'any', required: true },
+        { arg: 'model', type: 'string', required: true },
+        { arg: 'method', type: 'string', required: true },
+        { arg: 'modelId', type: 'any' },
+        { arg: 'data', type: 'object' },
+      ],
+      returns: { arg: 'data', type: 'object', root: true },
+      http: { path: '/explain', verb: 'get' },
+    })
+
+    // Only grant access to the new method to options.explainRole, regardless of any other ACLs of the group model.
+    GroupModel.settings.acls = (GroupModel.settings.acls || [ ]).concat([
+      {
+        accessType: '*',
+        principalType: 'ROLE',
+        principalId: '$everyone',
+        permission: 'DENY',
+        property: 'explain',
+      },
+      {
+        accessType: 'EXECUTE',
+        principalType: 'ROLE',
+        principalId: this.options.explainRole,
+        permission: 'ALLOW',
+        property: 'explain',
+      },
+    ])
+  }
+
+  /**
+   * Explain the access decision for a user invoking a remote method, for each group type.
+   *
+   * @param {Object} request The access request to explain.
+   * @param {*} request.userId The user ID.
+   * @param {String} request.model The model name.
+   * @param {String} request.method The remote method name (eg, 'findById' or 'approve').
+   * @param {*} [request.modelId] The model ID.
+   * @param {Object} [request.data] The incoming data, for methods that create or update a model instance.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the matching ACL entries, the final permission and, for each group type, the group
+   * context, the result of each group role and wether query filters would apply.
+   */
+  explain(request, cb) {
+    cb = cb || createPromiseCallback()
+    const { userId, method } = request
+    const modelId = isValidId(request.modelId) ? request.modelId : null
+    const Model = this.app.models[request.model]
+    const sharedMethod = Model && Model.sharedClass && Model.sharedClass.methods().find(item => item.name === method)
+
+    if (!sharedMethod) {
+      process.nextTick(() => cb(createHttpError(400, `${request.model}.${method} is not a remote method.`)))
+      return cb.promise
+    }
+
+    const { ACL } = this.app.models
+    const accessType = Model._getAccessTypeForMethod(sharedMethod)
+    const context = new AccessContext({
+      principals: [ { type: 'USER', id: userId } ],
+      model: Model,
+      property: method,
+      method,
+      sharedMethod,
+      modelId,
+      accessType,
+      remotingContext: { args: { data: request.data || null } },
+    })
+
+    function matchesAccessType(acl) {
+      return [ accessType, '*' ].includes(acl.accessType)
+    }
+
+    // Evaluate the ACLs in a separate context so that the role resolvers don't affect the current request, and
+    // their decisions are not recorded in the audit log.
+    new Promise(resolve => LoopBackContext.runInContext(ctx => {
+      ctx.set('accessExplain', true)
+      resolve(Promise.join(
+        ACL.find({ where: { model: Model.modelName, property: { inq: [ method, '*' ] } } }),
+        Promise.fromCallback(callback => ACL.checkAccessForContext(context, callback))
+      ))
+    }))
+      .spread((acls, accessRequest) => {
+        const matchingAcls = acls.concat(ACL.getStaticACLs(Model.modelName, method))
+          .filter(matchesAccessType)
+          .map(acl => ({
+            principalType: acl.principalType,
+            principalId: acl.principalId,
+            accessType: acl.accessType,
+            property: acl.property,
+            permission: acl.permission,
+          }))
+        const groupPrincipalIds = _flatten(this.groupTypes.map(groupType =>
+          groupType.options.groupRoles.concat(groupType.getPermissionPrincipalIds())))
+        const groupAclMatched = matchingAcls.some(acl => groupPrincipalIds.includes(acl.principalId))
+
+        return Promise.map(this.groupTypes, groupType =>
+          groupType.explainGroupType(context, sharedMethod, groupAclMatched))
+          .then(groups => ({
+            userId,
+            model: Model.modelName,
+            method,
+            modelId,
+            accessType,
+            acls: matchingAcls,
+            groups: groups.filter(Boolean),
+            permission: accessRequest.permission,
+          }))
+      })
+      .then(res => {
+        debug('explain: %o', res)
+        cb(null, res)
+      })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Explain the part of an access decision that is based on this group type (see explain()).
+   *
+   * @param {Object} context The access context.
+   * @param {Object} sharedMethod The remote method.
+   * @param {Boolean} groupAclMatched Boolean indicating wether any ACL entry for a group role matched the method.
+   * @returns {Promise} Returns a promise for the group context, role results and query filter of this group type, or
+   * for null if the model is not a group or group content model of this group type.
+   */
+  explainGroupType(context, sharedMethod, groupAclMatched) {
+    const Model = context.model
+    const userId = context.getUserId()
+    const isRelevant = this.isGroupModel(Model) || this.getGroupContentModels().includes(Model.modelName)
+    const filterApplies = Boolean(this.options.applyToStatic && isRelevant && sharedMethod.isStatic &&
+      !context.modelId && groupAclMatched)
+    const principalIds = this.options.groupRoles.concat(this.getPermissionPrincipalIds())
+
+    if (!isRelevant) {
+      return Promise.resolve(null)
+    }
+
+    return Promise.join(this.getCurrentGroupId(context), this.getTargetGroupId(context),
+      (currentGroupId, targetGroupId) => Promise.join(
+        Promise.map(principalIds, principalId => {
+          const roleNames = this.getPrincipalRoleNames(principalId)
+
+          return Promise.join(
+            currentGroupId ? this.hasRoleInGroup(userId, roleNames, currentGroupId) : null,
+            targetGroupId ? this.hasRoleInGroup(userId, roleNames, targetGroupId) : null,
+            (currentGroup, targetGroup) => ({ role: principalId, currentGroup, targetGroup })
+          )
+        }),
+        filterApplies ? this.buildFilter(userId, Model) : null,
+        (roles, where) => ({
+          groupModel: this.options.groupModel,
+          currentGroupId,
+          targetGroupId,
+          roles,
+          filter: { applies: filterApplies, where },
+        })
+      ))
+  }
+
+  /**
+   * Check if a user may perform an action on a model (or model instance), by evaluating the model's ACLs, including
+   * those for group roles. Unlike the checks made for remote requests, this needs no remoting context, so it can be
+   * used in custom remote methods, job workers and the like.
+   *
+   * @param {*} userId The user ID, or null for anonymous users.
+   * @param {String} action An access type (eg, 'READ') to check the model level ACLs, or the name of a remote method
+   * (eg, 'approve').
+   * @param {String|Object} Model The model name or class.
+   * @param {*} [modelId] The model ID. Without it (or data), access types and instance methods are checked without
+   * limiting group roles to a group, which the reason notes.
+   * @param {Object} [data] The data of a create or update, which decides the group that it saves to.
+   * @param {Function} [cb] A callback function.
+   * @returns {Object} Returns the decision (allowed, permission and accessType) and the reason for it (the ACL entry
+   * that decided it, if any, and a description).
+   */
+  can(userId, action, Model, modelId, data, cb) {
+    if (typeof modelId === 'function') {
+      cb = modelId
+      modelId = null
+    }
+    else if (typeof data === 'function') {
+      cb = data
+      data = null
+    }
+    cb = cb || createPromiseCallback()
+    const { ACL } = this.app.models
+    const Role = this.app.models[this.options.roleModel]
+    const ModelClass = typeof Model === 'string' ? this.app.models[Model] : Model
+    const isAccessType = [ ACL.READ, ACL.WRITE, ACL.EXECUTE, ACL.REPLICATE ].includes(action)
+    const sharedMethod = !isAccessType && ModelClass && ModelClass.sharedClass &&
+      ModelClass.sharedClass.methods().find(item => item.name === action)
+
+    if (!ModelClass || (!isAccessType && !sharedMethod)) {
+      const message = `${action} is not an access type or a remote method of ${Model}.`
+
+      process.nextTick(() => cb(createHttpError(400, message)))
+      return cb.promise
+    }
+
+    const accessType = isAccessType ? action : ModelClass._getAccessTypeForMethod(sharedMethod)
+    const property = isAccessType ? ACL.ALL : action
+    const context = new AccessContext({
+      principals: isValidId(userId) ? [ { type: 'USER', id: userId } ] : [ ],
+      model: ModelClass,
+      property,
+      method: property,
+      sharedMethod,
+      modelId: isValidId(modelId) ? modelId : null,
+      accessType,
+      remotingContext: { args: { data: data || null } },
+    })
+    const req = new AccessRequest(ModelClass.modelName, property, accessType, ACL.DEFAULT, context.methodNames)
+
+    // Check if an ACL entry applies to the user.
+    function applies(acl) {
+      if (acl.principalType === ACL.ROLE) {
+        return Promise.fromCallback(callback => Role.isInRole(acl.principalId, context, callback))
+      }
+      return context.principals.some(principal =>
+        principal.type === acl.principalType && String(principal.id) === String(acl.principalId))
+    }
+
+    // Evaluate the ACLs in a separate context so that the role resolvers don't affect the current request (if any),
+    // and report back in the current context.
+    const loopbackContext = LoopBackContext.getCurrentContext({ bind: true })
+    const done = loopbackContext ? loopbackContext.bind(cb) : cb
+
+    new Promise(resolve => LoopBackContext.runInContext(() => resolve(Promise.join(
+      // Access types are resolved from the ACL entries for all methods (like for a method without entries of its
+      // own), rather than with LoopBack's wildcard resolution, which lets any DENY entry win.
+      isAccessType ? null : Promise.fromCallback(callback => ACL.checkAccessForContext(context, callback)),
+      ACL.find({ where: { model: ModelClass.modelName } }),
+      (accessRequest, acls) => {
+        const candidates = acls.concat(ACL.getStaticACLs(ModelClass.modelName, property))
+          .filter(acl => ACL.getMatchingScore(acl, req) >= 0)
+          .filter(acl => !isAccessType || (acl.property || ACL.ALL) === ACL.ALL)
+
+        return Promise.filter(candidates, applies)
+          .then(applying => {
+            applying.sort((a, b) => ACL.getMatchingScore(b, req) - ACL.getMatchingScore(a, req))
+            if (accessRequest) {
+              return [ accessRequest.permission, applying.find(acl => acl.permission === accessRequest.permission) ]
+            }
+            const permission = applying.length ?
+              applying[0].permission :
+              ModelClass.settings.defaultPermission || ACL.ALLOW
+
+            return [ permission, applying[0] ]
+          })
+      }
+    ))))
+      .spread((permission, acl) => {
+        // Group roles can only be checked against the group of an instance (or of the data).
+        const note = !isValidId(modelId) && !data && (isAccessType || !sharedMethod.isStatic) ?
+          ' No instance was checked, so group roles were not limited to a group.' :
+          ''
+        const res = {
+          allowed: permission !== ACL.DENY,
+          permission,
+          accessType,
+          acl: acl ? {
+            principalType: acl.principalType,
+            principalId: acl.principalId,
+            accessType: acl.accessType,
+            property: acl.property,
+            permission: acl.permission,
+          } : null,
+          reason: acl ?
+            `${permission} by the ACL entry for ${acl.principalType} ${acl.principalId} ` +
+            `(${acl.accessType} ${ModelClass.modelName}.${acl.property}).${note}` :
+            `${permission} by default, as no ACL entry applies.${note}`,
+        }
+
+        debug('can %o %s %s %o: %o', userId, action, ModelClass.modelName, modelId, res)
+        done(null, res)
+      })
+      .catch(done)
+    return cb.promise
+  }
+
+  /**
+   * Run a function as a given user, outside of a remote request (eg, in a job worker or a script). The function runs in
+   * a new loopback context that holds the user and their group memberships (like the user context middleware sets up
+   * for a request), and in which group access has been applied, so that model calls inside it are filtered to the
+   * groups of the user. Writes are authorized with the ACLs of the corresponding remote methods (see
+   * setupRunAsAccess()).
+   *
+   * @param {Object|*} user The user, or the user ID.
+   * @param {Function} fn The function to run. It can return a promise.
+   * @param {Function} [cb] A callback function.
+   * @returns {*} Returns the result of the function.
+   */
+  runAs(user, fn, cb) {
+    cb = cb || createPromiseCallback()
+    const UserModel = this.app.models[this.options.userModel]
+    const isUser = Boolean(user && typeof user.getId === 'function')
+
+    if (!isUser && !isValidId(user)) {
+      process.nextTick(() => cb(createHttpError(400, 'A user or user id is required.')))
+      return cb.promise
+    }
+
+    // Report back in the current context (if any), rather than in the context of the user.
+    const loopbackContext = LoopBackContext.getCurrentContext({ bind: true })
+    const done = loopbackContext ? loopbackContext.bind(cb) : cb
+
+    Promise.resolve(isUser ? user : UserModel.findById(user, { }, { skipAccess: true }))
+      .then(currentUser => {
+        if (!currentUser) {
+          return Promise.reject(createHttpError(404, `No user with id ${user} was found.`))
+        }
+
+        // Load the full memberships of the user, rather than those of the current request (if any).
+        return Promise.map(this.groupTypes, groupType => groupType.getUserGroups(currentUser.getId(), true))
+          .then(groupsByType => new Promise((resolve, reject) => LoopBackContext.runInContext(ctx => {
+            // Start from a clean slate, like a request does, and filter queries like for a remote request.
+            REQUEST_KEYS.forEach(key => ctx.set(key, null))
+            ctx.set('currentUser', currentUser)
+            ctx.set('currentUserGroups', _flatten(groupsByType))
+            ctx.set('groupAccessApplied', true)
+            ctx.set('runAs', true)
+            debug('runAs: currentUser: %o, currentUserGroups: %o', currentUser, ctx.get('currentUserGroups'))
+            Promise.try(fn).then(resolve, reject)
+          })))
+      })
+      .then(res => done(null, res))
+      .catch(done)
+    return cb.promise
+  }
+
   /**
    * Check if a given user ID has a given role in the model instances group.
    * @param {Function} modelClass The model class
    * @param {*} modelId The model ID
    * @param {*} userId The user ID
-   * @param {*} roleId The role ID
+   * @param {String|Array} roleId The role name, or a list of role names of which any will do
    * @param {Function} callback Callback function
    */
   isGroupMemberWithRole(modelClass, modelId, userId, roleId, cb) {
@@ -408,54 +3379,172 @@ module.exports = class AccessUtils {
       return cb.promise
     }
 
-    modelClass.findById(modelId, (err, inst) => {
-      if (err || !inst) {
-        debug('Model not found for id %j', modelId)
-        return cb(err, false)
-      }
-      debug('Model found: %j', inst)
-      const groupId = inst[this.options.foreignKey]
-
-      // Ensure groupId exists and is not a function/relation
-      if (groupId && typeof groupId !== 'function') {
-        return this.hasRoleInGroup(userId, roleId, groupId)
-          .then(res => cb(null, res))
-      }
-      // Try to follow belongsTo
-      for (const relName in modelClass.relations) {
-        const rel = modelClass.relations[relName]
-
-        if (rel.type === 'belongsTo' && this.isGroupModel(rel.modelTo)) {
-          debug('Checking relation %s to %s: %j', relName, rel.modelTo.modelName, rel)
-          return inst[relName](function processRelatedGroup(error, group) {
-            if (!error && group) {
-              debug('Group found: %j', group.getId())
-              return cb(null, this.hasRoleInGroup(userId, roleId, group.getId()))
-            }
-            return cb(error, false)
-          })
+    this.getModelGroupId(modelClass, modelId)
+      .then(groupId => {
+        if (!groupId) {
+          debug('No group found for model %j', modelId)
+          return false
         }
-      }
-      debug('No matching belongsTo relation found for model %j and group: %j', modelId, groupId)
-      return cb(null, false)
-    })
+        return this.hasRoleInGroup(userId, roleId, groupId)
+          .then(res => res || this.hasSharedRole(modelClass, modelId, userId, roleId))
+      })
+      .then(res => cb(null, res))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Determine the group id of an existing model instance. The result is cached for the duration of the request.
+   *
+   * @param {Function} modelClass The model class.
+   * @param {*} modelId The model ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {*} Returns the determined Group ID, or null.
+   */
+  getModelGroupId(modelClass, modelId, cb) {
+    cb = cb || createPromiseCallback()
+
+    this.cached(`group:${modelClass.modelName}:${modelId}`, false, () =>
+      modelClass.findById(modelId, { }, { skipAccess: true })
+        .then(inst => {
+          if (!inst) {
+            debug('Model not found for id %j', modelId)
+            return null
+          }
+          debug('Model found: %j', inst)
+          return this.getGroupIdFromData(modelClass, inst)
+        }))
+      .then(groupId => cb(null, groupId))
+      .catch(cb)
     return cb.promise
   }
 
+  /**
+   * Check if a given user has a given role in a group, either directly or through one of the group's ancestors.
+   * Roles that imply the given role (see options.groupRoles) are also accepted.
+   *
+   * @param {*} userId The user ID.
+   * @param {String|Array} role The role name (eg, 'admin'), or a list of role names of which any will do.
+   * @param {*} group The group ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Boolean} Returns true if the user has the role in the group.
+   */
   hasRoleInGroup(userId, role, group, cb) {
     debug('hasRoleInGroup: role: %o, group: %o, userId: %o', role, group, userId)
     cb = cb || createPromiseCallback()
     const GroupAccess = this.app.models[this.options.groupAccessModel]
-    const conditions = { userId, role }
-
-    conditions[this.options.foreignKey] = group
-    GroupAccess.count(conditions)
-      .then(count => {
-        const res = count > 0
-
+    const roleNames = _uniq(_flatten([].concat(role).map(name => this.getImplyingRoleNames(name))))
+    const conditions = { userId, role: { inq: roleNames } }
+    const grant = this.getAccessGrant(userId)
+
+    this.cached(`role:${userId}:${group}:${[].concat(role).join(',')}`, true, () => this.getGroupAncestorIds(group)
+      .then(groupIds => {
+        conditions[this.options.foreignKey] = { inq: groupIds }
+        return GroupAccess.count(this.getActiveMembershipWhere(conditions))
+      })
+      .then(count => count > 0))
+      // Requests made with a group restricted access token only have the roles of its grant.
+      .then(res => res && (!grant || this.isGrantedRole(grant, roleNames, group)))
+      .then(res => {
         debug(`User ${userId} ${res ? 'HAS' : 'DOESNT HAVE'} ${role} role in group ${group}`)
         cb(null, res)
       })
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the ids of a group and all of its ancestors (nearest first) by following options.parentKey.
+   *
+   * @param {*} groupId The group ID.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of group ids, starting with groupId.
+   */
+  getGroupAncestorIds(groupId, cb) {
+    cb = cb || createPromiseCallback()
+    const { parentKey, maxDepth } = this.options
+    const GroupModel = this.app.models[this.options.groupModel]
+    const groupIds = [ groupId ]
+
+    if (!parentKey) {
+      process.nextTick(() => cb(null, groupIds))
+      return cb.promise
+    }
+
+    function visit(id, depth) {
+      if (depth >= maxDepth) {
+        debug('getGroupAncestorIds: max depth %d reached at group %o', maxDepth, id)
+        return groupIds
+      }
+      return GroupModel.findById(id, { }, { skipAccess: true })
+        .then(group => {
+          const parentId = group && group[parentKey]
+
+          if (!parentId) {
+            return groupIds
+          }
+          if (groupIds.some(existingId => String(existingId) === String(parentId))) {
+            debug('getGroupAncestorIds: cycle detected at group %o', parentId)
+            return groupIds
+          }
+          groupIds.push(parentId)
+          return visit(parentId, depth + 1)
+        })
+    }
+
+    visit(groupId, 0)
+      .then(res => cb(null, res))
+      .catch(cb)
+    return cb.promise
+  }
+
+  /**
+   * Get the ids of a list of groups and all of their descendants by following options.parentKey.
+   *
+   * @param {Array} groupIds A list of group IDs.
+   * @param {Function} [cb] A callback function.
+   * @returns {Array} Returns a list of group ids, starting with groupIds.
+   */
+  getGroupDescendantIds(groupIds, cb) {
+    cb = cb || createPromiseCallback()
+    const { parentKey, maxDepth } = this.options
+    const GroupModel = this.app.models[this.options.groupModel]
+    const result = groupIds.slice()
+    const visited = new Set(groupIds.map(String))
+
+    if (!parentKey) {
+      process.nextTick(() => cb(null, result))
+      return cb.promise
+    }
+
+    function visit(parentIds, depth) {
+      if (!parentIds.length) {
+        return result
+      }
+      if (depth >= maxDepth) {
+        debug('getGroupDescendantIds: max depth %d reached at groups %o', maxDepth, parentIds)
+        return result
+      }
+      const where = { }
+
+      where[parentKey] = { inq: parentIds }
+      return GroupModel.find({ where }, { skipAccess: true })
+        .then(groups => {
+          const childIds = groups
+            .map(group => group.getId())
+            .filter(id => !visited.has(String(id)))
+
+          childIds.forEach(id => {
+            visited.add(String(id))
+            result.push(id)
+          })
+          return visit(childIds, depth + 1)
+        })
+    }
+
+    visit(groupIds, 0)
+      .then(res => cb(null, res))
+      .catch(cb)
     return cb.promise
   }
 
@@ -468,7 +3557,7 @@ module.exports = class AccessUtils {
    */
   getCurrentGroupId(context, cb) {
     cb = cb || createPromiseCallback()
-    debug('getCurrentGroupId context.remotingContext.args: %o', context.remotingContext.args)
+    debug('getCurrentGroupId context.remotingContext.args: %o', _get(context, 'remotingContext.args'))
     let groupId = null
 
     // If we are accessing the group model directly, the group id is the model id.
@@ -478,28 +3567,28 @@ module.exports = class AccessUtils {
     }
 
     // If we are accessing an existing model, get the group id from the existing model instance.
-    // TODO: Cache this result so that it can be reused across each ACL lookup attempt.
     if (context.modelId) {
       debug(`fetching group id for existing model with id: ${context.modelId}`)
-      context.model.findById(context.modelId, { }, {
-        skipAccess: true,
-      })
-        .then(item => {
-          // TODO: Attempt to follow relationships in addition to the foreign key.
-          if (item) {
-            debug(`determined group id ${item[this.options.foreignKey]} from existing model ${context.modelId}`)
-            groupId = item[this.options.foreignKey]
+      this.getModelGroupId(context.model, context.modelId)
+        .then(res => {
+          if (res) {
+            debug(`determined group id ${res} from existing model ${context.modelId}`)
+            groupId = res
           }
           cb(null, groupId)
         })
         .catch(cb)
     }
 
-    // If we are creating a new model, get the foreignKey from the incoming data.
-    else if (_get(context, `remotingContext.args.data[${this.options.foreignKey}]`)) {
-      debug(`determined current group id ${groupId} from incoming data`)
-      groupId = context.remotingContext.args.data[this.options.foreignKey]
-      process.nextTick(() => cb(null, groupId))
+    // If we are creating a new model, get the group id from the incoming data.
+    else if (_get(context, 'remotingContext.args.data')) {
+      this.getGroupIdFromData(context.model, context.remotingContext.args.data)
+        .then(res => {
+          groupId = res
+          debug(`determined current group id ${groupId} from incoming data`)
+          cb(null, groupId)
+        })
+        .catch(cb)
     }
 
     // Otherwise, return null.
@@ -520,22 +3609,26 @@ module.exports = class AccessUtils {
    */
   getTargetGroupId(context, cb) {
     cb = cb || createPromiseCallback()
-    debug('getTargetGroupId context.remotingContext.args: %o', context.remotingContext.args)
+    debug('getTargetGroupId context.remotingContext.args: %o', _get(context, 'remotingContext.args'))
     let groupId = null
 
     // Get the target group id from the incoming data.
-    if (_get(context, `remotingContext.args.data[${this.options.foreignKey}]`)) {
-      debug(`determined target group id ${groupId} from incoming data`)
-      groupId = context.remotingContext.args.data[this.options.foreignKey]
+    if (_get(context, 'remotingContext.args.data')) {
+      this.getGroupIdFromData(context.model, context.remotingContext.args.data)
+        .then(res => {
+          groupId = res
+          debug(`determined target group id ${groupId} from incoming data`)
+          cb(null, groupId)
+        })
+        .catch(cb)
     }
 
     // Otherwise, return null.
     else {
       debug('unable to determine target group context')
+      process.nextTick(() => cb(null, groupId))
     }
 
-    process.nextTick(() => cb(null, groupId))
-
     return cb.promise
   }
 }
@@ -0,0 +1,52 @@
+'use strict'
+
+const chai = require('chai')
+const AccessCache = require('../lib/cache')
+
+const { expect } = chai
+
+chai.use(require('dirty-chai'))
+
+describe('Access Cache', function() {
+  it('should return cached values', function() {
+    const cache = new AccessCache({ max: 2 })
+
+    cache.set('a', false)
+    expect(cache.has('a')).to.be.true()
+    expect(cache.get('a')).to.be.false()
+    expect(cache.has('b')).to.be.false()
+  })
+
+  it('should evict the least recently used entry', function() {
+    const cache = new AccessCache({ max: 2 })
+
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+    expect(cache.has('a')).to.be.true()
+    expect(cache.has('b')).to.be.false()
+    expect(cache.has('c')).to.be.true()
+    expect(cache.size).to.equal(2)
+  })
+
+  it('should expire entries', function() {
+    const cache = new AccessCache({ max: 2, ttl: 1 })
+
+    cache.set('a', 1)
+    return new Promise(resolve => setTimeout(resolve, 5))
+      .then(() => expect(cache.has('a')).to.be.false())
+  })
+
+  it('should clear entries by prefix', function() {
+    const cache = new AccessCache({ max: 10 })
+
+    cache.set('role:1:A:admin', true)
+    cache.set('role:2:A:admin', true)
+    cache.clear('role:1:')
+    expect(cache.has('role:1:A:admin')).to.be.false()
+    expect(cache.has('role:2:A:admin')).to.be.true()
+    cache.clear()
+    expect(cache.size).to.equal(0)
+  })
+})
@@ -1,5 +1,8 @@
 'use strict'
 
 module.exports = function invoiceCustomizer(Invoice) {
+  Invoice.prototype.approve = function approve(cb) {
+    return this.updateAttributes({ approved: true }, cb)
+  }
   return Invoice
 }
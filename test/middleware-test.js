@@ -40,3 +40,121 @@ describe('User Context Middleware', function() {
     })
   })
 })
+
+describe('Access Logger Middleware', function() {
+  const { EventEmitter } = require('events')
+  const accessLogger = require('../lib/middleware/access-logger')
+
+  // Run a request through the middleware and finish the response. The access token is that of the current user (which
+  // is the impersonated user for impersonated requests).
+  function logRequest(options, url, groups, values) {
+    const currentUser = values && values.currentUser
+    const req = {
+      app,
+      method: 'GET',
+      originalUrl: url,
+      accessToken: { id: 'secretToken', userId: currentUser ? currentUser.getId() : 'storeMemberA' },
+    }
+    const res = new EventEmitter()
+
+    res.statusCode = 200
+    return new Promise(resolve => {
+      LoopBackContext.runInContext(function(ctx) {
+        ctx.set('currentUserGroups', groups || [ ])
+        ctx.set('groupAccessApplied', true)
+        ctx.set('impersonator', null)
+        Object.keys(values || { }).forEach(key => ctx.set(key, values[key]))
+        accessLogger(options)(req, res, () => res.emit('finish'))
+      })
+
+      // Resolve outside of the request context, so that it does not carry over to the following tests.
+      setImmediate(resolve)
+    })
+  }
+
+  it('should write structured records to a function', function() {
+    const sink = this.sinon.spy()
+    const groups = [
+      new app.models.Team({ userId: 'storeMemberA', storeId: 'A', role: 'member' }),
+      new app.models.ProjectMember({ userId: 'storeMemberA', projectId: 'X', role: 'admin' }),
+    ]
+
+    return logRequest({ sink }, '/api/invoices', groups)
+      .then(() => {
+        expect(sink).to.have.been.calledOnce()
+        expect(sink.firstCall.args[0]).to.include({
+          method: 'GET',
+          url: '/api/invoices',
+          status: 200,
+          userId: 'storeMemberA',
+          groupAccessApplied: true,
+        })
+        expect(sink.firstCall.args[0].groupIds).to.deep.equal([ 'A', 'X' ])
+        expect(sink.firstCall.args[0].duration).to.be.a('number')
+      })
+  })
+
+  it('should flag impersonated requests', function() {
+    const sink = this.sinon.spy()
+    const User = app.models.user
+    const values = {
+      impersonator: new User({ id: 'storeMemberA' }),
+      currentUser: new User({ id: 'storeMemberB' }),
+    }
+
+    return logRequest({ sink }, '/api/invoices')
+      .then(() => logRequest({ sink }, '/api/invoices', [ ], values))
+      .then(() => {
+        expect(sink.firstCall.args[0]).to.have.property('impersonatedUserId', null)
+        expect(sink.secondCall.args[0]).to.include({ userId: 'storeMemberA', impersonatedUserId: 'storeMemberB' })
+      })
+  })
+
+  it('should write JSON lines to a stream', function() {
+    const stream = { write: this.sinon.spy() }
+
+    return logRequest({ sink: stream }, '/api/invoices')
+      .then(() => {
+        const record = JSON.parse(stream.write.firstCall.args[0])
+
+        expect(record).to.have.property('url', '/api/invoices')
+      })
+  })
+
+  it('should redact tokens in the query string', function() {
+    const sink = this.sinon.spy()
+
+    return logRequest({ sink }, '/api/invoices?filter={}&access_token=secretToken')
+      .then(() => {
+        expect(sink.firstCall.args[0]).to.have.property('url', '/api/invoices?filter={}&access_token=[REDACTED]')
+        expect(JSON.stringify(sink.firstCall.args[0])).to.not.contain('secretToken')
+      })
+  })
+
+  it('should only redact the parameters with the given names', function() {
+    const sink = this.sinon.spy()
+
+    return logRequest({ sink, redactParams: [ 'api.key' ] }, '/api/invoices?apiXkey=visible&api.key=secretKey')
+      .then(() => {
+        expect(sink.firstCall.args[0]).to.have.property('url', '/api/invoices?apiXkey=visible&api.key=[REDACTED]')
+      })
+  })
+
+  it('should only log requests that match the include patterns', function() {
+    const sink = this.sinon.spy()
+
+    return logRequest({ sink, include: [ '^/api/stores' ] }, '/api/invoices')
+      .then(() => logRequest({ sink, include: [ '^/api/stores' ] }, '/api/stores/A'))
+      .then(() => {
+        expect(sink).to.have.been.calledOnce()
+        expect(sink.firstCall.args[0]).to.have.property('url', '/api/stores/A')
+      })
+  })
+
+  it('should not log requests that match the exclude patterns', function() {
+    const sink = this.sinon.spy()
+
+    return logRequest({ sink, exclude: [ '^/explorer' ] }, '/explorer/swagger.json')
+      .then(() => expect(sink).to.not.have.been.called())
+  })
+})
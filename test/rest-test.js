@@ -47,6 +47,76 @@ describe('REST API', function() {
     })
   })
 
+  describe('Permission principals', function() {
+    it('should allow a role that has been granted the permission', function() {
+      return logInAs('storeManagerA')
+        .then(res => json('post', `/api/invoices/3/approve?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.property('approved', true)
+        })
+    })
+
+    it('should allow a role that implies a role that has been granted the permission', function() {
+      return logInAs('storeAdminA')
+        .then(res => json('post', `/api/invoices/3/approve?access_token=${res.body.id}`)
+          .expect(200))
+    })
+
+    it('should not allow a role that has not been granted the permission', function() {
+      return logInAs('storeMemberA')
+        .then(res => json('post', `/api/invoices/3/approve?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should not allow the permission in another group', function() {
+      return logInAs('storeManagerB')
+        .then(res => json('post', `/api/invoices/3/approve?access_token=${res.body.id}`)
+          .expect(401))
+    })
+  })
+
+  describe('Multiple group models', function() {
+    it('should get a task from a project the user is a member of', function() {
+      return logInAs('storeMemberA')
+        .then(res => json('get', `/api/tasks/1?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.property('projectId', 'X')
+        })
+    })
+
+    it('should not get a task from another project', function() {
+      return logInAs('storeMemberA')
+        .then(res => json('get', `/api/tasks/2?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should limit task results to the users projects', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/tasks?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.be.an('array')
+          expect(res.body).to.have.length(1)
+          expect(res.body[0]).to.have.property('projectId', 'Y')
+        })
+    })
+
+    it('should not grant project roles based on store roles', function() {
+      return logInAs('storeAdminA')
+        .then(res => json('get', `/api/tasks/1?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should apply project roles independently of store roles', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('put', `/api/tasks/2?access_token=${res.body.id}`)
+          .send({ name: 'Renamed task' })
+          .expect(401))
+    })
+  })
+
   const users = [
     {
       username: 'generalUser',
@@ -107,6 +177,190 @@ describe('REST API', function() {
         })
       })
       // end related group content
+
+      // group content through relations
+      describe('group content through relations', function() {
+        let lineItemId = null
+
+        if (_includes(user.abilities, 'read')) {
+          it('should get a teams line item', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/lineItems/1?access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.be.an('object')
+                expect(res.body).to.have.property('invoiceId', 1)
+              })
+          })
+          it('should find a teams line items', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/lineItems?access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.be.an('array')
+                expect(res.body).to.have.length(2)
+                expect(res.body[0]).to.have.property('id', 1)
+                expect(res.body[1]).to.have.property('id', 2)
+              })
+          })
+        }
+        else {
+          it('should not get a teams line item', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/lineItems/1?access_token=${res.body.id}`)
+                .expect(401))
+          })
+          it('should not find a teams line items', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/lineItems?access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.be.an('array')
+                expect(res.body).to.have.length(0)
+              })
+          })
+        }
+        it('should not get another teams line item', function() {
+          return logInAs(user.username)
+            .then(res => json('get', `/api/lineItems/3?access_token=${res.body.id}`)
+              .expect(401))
+        })
+
+        if (_includes(user.abilities, 'create')) {
+          it('should create a line item for a teams invoice', function() {
+            return logInAs(user.username)
+              .then(res => json('post', `/api/lineItems?access_token=${res.body.id}`)
+                .send({ invoiceId: '1', description: 'New line item' })
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.have.property('invoiceId', 1)
+                lineItemId = res.body.id
+              })
+          })
+        }
+        it('should not create a line item for another teams invoice', function() {
+          return logInAs(user.username)
+            .then(res => json('post', `/api/lineItems?access_token=${res.body.id}`)
+              .send({ invoiceId: '2', description: 'New line item' })
+              .expect(401))
+        })
+
+        after(function() {
+          if (lineItemId) {
+            return app.models.LineItem.destroyById(lineItemId)
+          }
+          return null
+        })
+      })
+      // end group content through relations
+
+      // included and nested relations
+      describe('included and nested relations', function() {
+        let crossTransactionId = null
+
+        // A transaction of Store A that (inconsistently) references an invoice of Store B.
+        before(function() {
+          return app.models.Transaction.create({ name: 'Transaction 5 (inv2)', storeId: 'A', invoiceId: '2' })
+            .then(transaction => {
+              crossTransactionId = transaction.id
+            })
+        })
+
+        after(function() {
+          return app.models.Transaction.destroyById(crossTransactionId)
+        })
+
+        if (_includes(user.abilities, 'read')) {
+          it('should only include a teams transactions with its invoices', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/invoices?filter={"include":"transactions"}&access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.not.be.empty()
+                res.body.forEach(invoice => {
+                  expect(invoice).to.have.property('storeId', 'A')
+                  invoice.transactions.forEach(transaction => expect(transaction).to.have.property('storeId', 'A'))
+                })
+              })
+          })
+          it('should not include another teams invoice with a teams transactions', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/transactions?filter={"include":"Invoice"}&access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                const crossTransaction = res.body.find(transaction => transaction.id === crossTransactionId)
+
+                expect(crossTransaction).to.be.an('object')
+                expect(crossTransaction).to.not.have.property('Invoice')
+              })
+          })
+          it('should only include a teams invoices with selected fields', function() {
+            const filter = '{"include":{"relation":"invoices","scope":{"fields":["id","invoiceNumber"]}}}'
+
+            return logInAs(user.username)
+              .then(res => json('get', `/api/stores/A?filter=${filter}&access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body.invoices).to.not.be.empty()
+                res.body.invoices.forEach(invoice => {
+                  expect(invoice).to.have.property('invoiceNumber')
+                  expect(invoice).to.not.have.property('status')
+                  expect(invoice.id).to.not.equal(2)
+                })
+              })
+          })
+          it('should fetch a teams invoices through a nested relation', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/stores/A/invoices?access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.not.be.empty()
+                res.body.forEach(invoice => expect(invoice).to.have.property('storeId', 'A'))
+              })
+          })
+          it('should only fetch a teams invoices through a hasMany through relation', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/stores/A/transactionInvoices?access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.not.be.empty()
+                res.body.forEach(invoice => expect(invoice).to.have.property('storeId', 'A'))
+              })
+          })
+        }
+        else {
+          it('should not include a teams transactions with its invoices', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/invoices?filter={"include":"transactions"}&access_token=${res.body.id}`)
+                .expect(200))
+              .then(res => {
+                expect(res.body).to.be.an('array')
+                expect(res.body).to.have.length(0)
+              })
+          })
+          it('should not fetch a teams invoices through a nested relation', function() {
+            return logInAs(user.username)
+              .then(res => json('get', `/api/stores/A/invoices?access_token=${res.body.id}`)
+                .expect(401))
+          })
+        }
+        it('should not find another teams invoice by id', function() {
+          return logInAs(user.username)
+            .then(res => json('get', `/api/invoices?filter={"where":{"id":2}}&access_token=${res.body.id}`)
+              .expect(200))
+            .then(res => {
+              expect(res.body).to.be.an('array')
+              expect(res.body).to.have.length(0)
+            })
+        })
+        it('should not fetch another teams invoices through a nested relation', function() {
+          return logInAs(user.username)
+            .then(res => json('get', `/api/stores/B/invoices?access_token=${res.body.id}`)
+              .expect(401))
+        })
+      })
+      // end included and nested relations
+
       // exists
       describe('exists', function() {
         if (_includes(user.abilities, 'read')) {
@@ -663,4 +917,933 @@ describe('REST API', function() {
     // end destroyById,
     })
   })
+
+  describe('Invitations', function() {
+    function invite(username, storeId, data, status) {
+      return logInAs(username)
+        .then(res => json('post', `/api/stores/${storeId}/invite?access_token=${res.body.id}`)
+          .send(data)
+          .expect(status))
+    }
+
+    function acceptInvite(username, token, status) {
+      return logInAs(username)
+        .then(res => json('post', `/api/stores/acceptInvite?access_token=${res.body.id}`)
+          .send({ token })
+          .expect(status))
+    }
+
+    after(function() {
+      return Promise.all([
+        app.models.Team.destroyAll({ userId: 'generalUser' }),
+        app.models.StoreInvitation.destroyAll(),
+      ])
+    })
+
+    it('should not allow a member to invite users', function() {
+      return invite('storeMemberA', 'A', { email: 'new@fullcube.com', role: 'member' }, 401)
+    })
+
+    it('should not allow a manager to invite users to another group', function() {
+      return invite('storeManagerB', 'A', { email: 'new@fullcube.com', role: 'member' }, 401)
+    })
+
+    it('should not invite users with an unknown role', function() {
+      return invite('storeManagerA', 'A', { email: 'new@fullcube.com', role: 'owner' }, 400)
+    })
+
+    it('should not invite users to a role that the inviter does not have', function() {
+      return invite('storeManagerA', 'A', { email: 'new@fullcube.com', role: 'admin' }, 403)
+    })
+
+    it('should invite users to a role that is implied by the inviters role', function() {
+      return invite('storeAdminA', 'A', { email: 'new@fullcube.com', role: 'manager' }, 200)
+    })
+
+    it('should invite a user and grant the role once the invitation is accepted', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: '$group:member' }, 200)
+        .then(res => {
+          expect(res.body).to.have.property('role', 'member')
+          expect(res.body).to.have.property('storeId', 'A')
+          expect(res.body).to.have.property('token')
+          return acceptInvite('generalUser', res.body.token, 200)
+        })
+        .then(res => {
+          expect(res.body).to.have.property('userId', 'generalUser')
+          expect(res.body).to.have.property('role', 'member')
+          return logInAs('generalUser')
+        })
+        .then(res => json('get', `/api/stores/A?access_token=${res.body.id}`)
+          .expect(200))
+    })
+
+    it('should not accept an invitation that was sent to another email address', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: 'member' }, 200)
+        .then(res => acceptInvite('storeMemberB', res.body.token, 403))
+    })
+
+    it('should not accept an invitation twice', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: 'member' }, 200)
+        .then(res => acceptInvite('generalUser', res.body.token, 200)
+          .then(() => acceptInvite('generalUser', res.body.token, 404)))
+    })
+
+    it('should not accept an expired invitation', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: 'member' }, 200)
+        .then(res => app.models.StoreInvitation.updateAll({ id: res.body.id }, { expires: new Date(0) })
+          .then(() => acceptInvite('generalUser', res.body.token, 400)))
+    })
+
+    it('should not accept a revoked invitation', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: 'member' }, 200)
+        .then(res => logInAs('storeManagerA')
+          .then(login => json('post', `/api/stores/A/revokeInvite?access_token=${login.body.id}`)
+            .send({ invitationId: res.body.id })
+            .expect(200))
+          .then(() => acceptInvite('generalUser', res.body.token, 404)))
+    })
+
+    it('should not revoke another groups invitation', function() {
+      return invite('storeManagerA', 'A', { email: 'generalUser@fullcube.com', role: 'member' }, 200)
+        .then(res => logInAs('storeManagerB')
+          .then(login => json('post', `/api/stores/B/revokeInvite?access_token=${login.body.id}`)
+            .send({ invitationId: res.body.id })
+            .expect(404)))
+    })
+  })
+
+  describe('Members', function() {
+    function setMemberRoles(username, storeId, userId, roles, status) {
+      return logInAs(username)
+        .then(res => json('put', `/api/stores/${storeId}/members/${userId}?access_token=${res.body.id}`)
+          .send({ roles })
+          .expect(status))
+    }
+
+    function removeMember(username, storeId, userId, status) {
+      return logInAs(username)
+        .then(res => json('delete', `/api/stores/${storeId}/members/${userId}?access_token=${res.body.id}`)
+          .expect(status))
+    }
+
+    after(function() {
+      return app.models.Team.destroyAll({ userId: 'generalUser' })
+    })
+
+    it('should allow a member to list the members of a group', function() {
+      return logInAs('storeMemberA')
+        .then(res => json('get', `/api/stores/A/members?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.length(3)
+          expect(res.body).to.deep.include({ userId: 'storeAdminA', roles: [ 'admin' ] })
+        })
+    })
+
+    it('should not allow a non-member to list the members of a group', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/stores/A/members?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should not allow a manager to set the roles of a member', function() {
+      return setMemberRoles('storeManagerA', 'A', 'storeMemberA', [ 'manager' ], 401)
+    })
+
+    it('should allow an admin to add a member', function() {
+      return setMemberRoles('storeAdminA', 'A', 'generalUser', [ '$group:member' ], 200)
+        .then(res => {
+          expect(res.body).to.deep.equal({ userId: 'generalUser', roles: [ 'member' ] })
+          return logInAs('generalUser')
+        })
+        .then(res => json('get', `/api/stores/A?access_token=${res.body.id}`)
+          .expect(200))
+    })
+
+    it('should not grant a role that is not a group role', function() {
+      return setMemberRoles('storeAdminA', 'A', 'generalUser', [ 'owner' ], 400)
+    })
+
+    it('should not add a user that does not exist', function() {
+      return setMemberRoles('storeAdminA', 'A', 'unknownUser', [ 'member' ], 404)
+    })
+
+    it('should not demote the last admin of a group', function() {
+      return setMemberRoles('storeAdminA', 'A', 'storeAdminA', [ 'manager' ], 409)
+    })
+
+    it('should not remove the last admin of a group', function() {
+      return removeMember('storeAdminA', 'A', 'storeAdminA', 409)
+    })
+
+    it('should allow an admin to remove another admin', function() {
+      return setMemberRoles('storeAdminA', 'A', 'generalUser', [ 'admin' ], 200)
+        .then(() => removeMember('storeAdminA', 'A', 'generalUser', 200))
+        .then(() => removeMember('storeAdminA', 'A', 'generalUser', 404))
+    })
+  })
+
+  describe('Audit log', function() {
+    it('should record denied access decisions', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/stores/A?access_token=${res.body.id}`)
+          .expect(401))
+        .then(() => app.models.AccessDecision.find({
+          where: { userId: 'storeMemberB', model: 'Store', modelId: 'A', method: 'findById', allowed: false },
+        }))
+        .then(decisions => {
+          expect(decisions).to.not.be.empty()
+          expect(decisions[0].toJSON().groupIds).to.deep.equal([ 'A' ])
+        })
+    })
+
+    it('should record allowed access decisions', function() {
+      return logInAs('storeMemberA')
+        .then(res => json('get', `/api/invoices/3?access_token=${res.body.id}`)
+          .expect(200))
+        .then(() => app.models.AccessDecision.find({
+          where: { userId: 'storeMemberA', model: 'Invoice', modelId: 3, allowed: true },
+        }))
+        .then(decisions => {
+          expect(decisions).to.not.be.empty()
+          expect(decisions[0].toJSON().groupIds).to.deep.equal([ 'A' ])
+        })
+    })
+  })
+
+  describe('Explain', function() {
+    function explain(username, query, status) {
+      return logInAs(username)
+        .then(res => json('get', `/api/stores/explain?access_token=${res.body.id}`)
+          .query(query)
+          .expect(status))
+    }
+
+    it('should not allow a group admin to explain access decisions', function() {
+      return explain('storeAdminA', { userId: 'storeMemberA', model: 'Invoice', method: 'findById', modelId: 1 }, 401)
+    })
+
+    it('should explain why access was allowed', function() {
+      return explain('admin', { userId: 'storeManagerA', model: 'Invoice', method: 'approve', modelId: 3 }, 200)
+        .then(res => {
+          expect(res.body).to.have.property('permission', 'ALLOW')
+          expect(res.body).to.have.property('accessType', 'EXECUTE')
+          expect(res.body.acls).to.deep.include({
+            principalType: 'ROLE',
+            principalId: '$group:can:invoice.approve',
+            accessType: 'EXECUTE',
+            property: 'approve',
+            permission: 'ALLOW',
+          })
+          expect(res.body.groups).to.have.length(1)
+          expect(res.body.groups[0]).to.have.property('groupModel', 'Store')
+          expect(res.body.groups[0]).to.have.property('currentGroupId', 'A')
+          expect(res.body.groups[0].roles).to.deep.include({
+            role: '$group:can:invoice.approve',
+            currentGroup: true,
+            targetGroup: null,
+          })
+        })
+    })
+
+    it('should explain why access was denied', function() {
+      return explain('admin', { userId: 'storeMemberB', model: 'Invoice', method: 'findById', modelId: 3 }, 200)
+        .then(res => {
+          expect(res.body).to.have.property('permission', 'DENY')
+          expect(res.body.groups[0]).to.have.property('currentGroupId', 'A')
+          expect(res.body.groups[0].roles).to.deep.include({
+            role: '$group:member',
+            currentGroup: false,
+            targetGroup: null,
+          })
+        })
+    })
+
+    it('should explain whether query filters apply', function() {
+      return explain('admin', { userId: 'storeMemberA', model: 'Invoice', method: 'find' }, 200)
+        .then(res => {
+          expect(res.body).to.have.property('permission', 'ALLOW')
+          expect(res.body.groups[0].filter).to.deep.equal({ applies: true, where: { storeId: { inq: [ 'A' ] } } })
+        })
+    })
+
+    it('should not explain a method that does not exist', function() {
+      return explain('admin', { userId: 'storeMemberA', model: 'Invoice', method: 'unknown' }, 400)
+    })
+  })
+
+  describe('Active group', function() {
+    before(function() {
+      return Promise.all([ 'A', 'B' ].map(storeId =>
+        app.models.Team.create({ userId: 'generalUser', storeId, role: 'manager' })))
+    })
+
+    after(function() {
+      return Promise.all([
+        app.models.Team.destroyAll({ userId: 'generalUser' }),
+        app.models.Invoice.destroyAll({ invoiceNumber: { gt: 100 } }),
+      ])
+    })
+
+    it('should return content from all groups without an active group', function() {
+      return logInAs('generalUser')
+        .then(res => json('get', `/api/invoices?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body.map(invoice => invoice.storeId)).to.include.members([ 'A', 'B' ])
+        })
+    })
+
+    it('should only return content from the group selected with a header', function() {
+      return logInAs('generalUser')
+        .then(res => json('get', `/api/invoices?access_token=${res.body.id}`)
+          .set('X-Access-Group', 'A')
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.not.be.empty()
+          expect(res.body.every(invoice => invoice.storeId === 'A')).to.be.true()
+        })
+    })
+
+    it('should only return content from the group selected with a query parameter', function() {
+      return logInAs('generalUser')
+        .then(res => json('get', `/api/invoices?groupId=B&access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.not.be.empty()
+          expect(res.body.every(invoice => invoice.storeId === 'B')).to.be.true()
+        })
+    })
+
+    it('should not allow selecting a group the user is not a member of', function() {
+      return logInAs('storeMemberA')
+        .then(res => request(app).get(`/api/invoices?access_token=${res.body.id}`)
+          .set('X-Access-Group', 'B')
+          .expect(403))
+    })
+
+    it('should create content in the active group by default', function() {
+      return logInAs('generalUser')
+        .then(res => json('post', `/api/invoices?access_token=${res.body.id}`)
+          .set('X-Access-Group', 'B')
+          .send({ invoiceNumber: 101 })
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.property('storeId', 'B')
+        })
+    })
+
+    it('should not create content outside of the active group', function() {
+      return logInAs('generalUser')
+        .then(res => json('post', `/api/invoices?access_token=${res.body.id}`)
+          .set('X-Access-Group', 'A')
+          .send({ invoiceNumber: 102, storeId: 'B' })
+          .expect(403))
+    })
+
+    it('should not update content outside of the active group', function() {
+      return app.models.Invoice.create({ storeId: 'B', invoiceNumber: 103 })
+        .then(invoice => logInAs('generalUser')
+          .then(res => json('put', `/api/invoices/${invoice.id}?access_token=${res.body.id}`)
+            .set('X-Access-Group', 'A')
+            .send({ reviewed: true })
+            .expect(403)))
+    })
+  })
+
+  describe('Property access', function() {
+    function getAs(username, url) {
+      return logInAs(username)
+        .then(res => json('get', `${url}${url.includes('?') ? '&' : '?'}access_token=${res.body.id}`)
+          .expect(200))
+    }
+
+    function updateInvoice(username, id, data, status) {
+      return logInAs(username)
+        .then(res => json('put', `/api/invoices/${id}?access_token=${res.body.id}`)
+          .send(data)
+          .expect(status))
+    }
+
+    let protectedInvoice = null
+
+    before(function() {
+      return app.models.Invoice.create({ storeId: 'A', invoiceNumber: 301, margin: 0.25 })
+        .then(res => {
+          protectedInvoice = res
+        })
+    })
+
+    after(function() {
+      return protectedInvoice.destroy()
+    })
+
+    it('should not return properties that the user can not read', function() {
+      return getAs('storeMemberA', `/api/invoices/${protectedInvoice.id}`)
+        .then(res => {
+          expect(res.body).to.have.property('invoiceNumber', 301)
+          expect(res.body).to.not.have.property('margin')
+        })
+    })
+
+    it('should return properties that the user can read', function() {
+      return getAs('storeAdminA', `/api/invoices/${protectedInvoice.id}`)
+        .then(res => expect(res.body).to.have.property('margin', 0.25))
+    })
+
+    it('should not return properties that the user can not read in lists', function() {
+      return getAs('storeManagerA', '/api/invoices')
+        .then(res => {
+          expect(res.body).to.not.be.empty()
+          res.body.forEach(invoice => expect(invoice).to.not.have.property('margin'))
+        })
+    })
+
+    it('should not return properties that the user can not read in included relations', function() {
+      return getAs('storeMemberA', '/api/stores/A?filter={"include":"invoices"}')
+        .then(res => {
+          expect(res.body.invoices).to.not.be.empty()
+          res.body.invoices.forEach(invoice => expect(invoice).to.not.have.property('margin'))
+        })
+    })
+
+    it('should pass the results of models without protected properties on as model instances', function() {
+      let result = null
+
+      app.remotes().after('**', (ctx, next) => {
+        if (!result && ctx.method.name === 'findById' && ctx.method.sharedClass.name === 'Store') {
+          ({ result } = ctx)
+        }
+        next()
+      })
+      return getAs('storeMemberA', '/api/stores/A')
+        .then(() => expect(result).to.be.an.instanceof(app.models.Store))
+    })
+
+    it('should keep properties that the user can not read when they update the content', function() {
+      return updateInvoice('storeManagerA', protectedInvoice.id, { reviewed: true }, 200)
+        .then(res => expect(res.body).to.not.have.property('margin'))
+        .then(() => app.models.Invoice.findById(protectedInvoice.id, { }, { skipAccess: true }))
+        .then(invoice => expect(invoice).to.have.property('margin', 0.25))
+    })
+
+    it('should not allow changing properties that the user can not write', function() {
+      return updateInvoice('storeManagerA', 3, { status: 'active' }, 403)
+    })
+
+    it('should allow sending unchanged properties that the user can not write', function() {
+      return updateInvoice('storeManagerA', 3, { invoiceNumber: 3, status: 'disabled' }, 200)
+    })
+
+    it('should allow changing properties that the user can write', function() {
+      return updateInvoice('storeAdminA', 3, { status: 'active' }, 200)
+        .then(res => expect(res.body).to.have.property('status', 'active'))
+        .then(() => updateInvoice('storeAdminA', 3, { status: 'disabled' }, 200))
+    })
+
+    it('should not allow creating content with properties that the user can not write', function() {
+      return logInAs('storeManagerA')
+        .then(res => json('post', `/api/invoices?access_token=${res.body.id}`)
+          .send({ storeId: 'A', invoiceNumber: 201, status: 'active' })
+          .expect(403))
+    })
+  })
+
+  describe('Bulk writes', function() {
+    after(function() {
+      return app.models.Invoice.updateAll({ }, { reviewed: false }, { skipAccess: true })
+    })
+
+    it('should only update content in the users groups', function() {
+      return logInAs('storeAdminA')
+        .then(res => json('post', `/api/invoices/update?where={}&access_token=${res.body.id}`)
+          .send({ reviewed: true })
+          .expect(200))
+        .then(res => Promise.all([
+          app.models.Invoice.count({ storeId: 'A' }, { skipAccess: true }),
+          app.models.Invoice.count({ reviewed: true }, { skipAccess: true }),
+        ])
+          .then(counts => {
+            expect(res.body).to.have.property('count', counts[0])
+            expect(counts[1]).to.equal(counts[0])
+          }))
+    })
+  })
+
+  describe('API keys', function() {
+    function createApiKey(username, roles, status) {
+      return logInAs(username)
+        .then(res => json('post', `/api/stores/A/apiKeys?access_token=${res.body.id}`)
+          .send({ roles })
+          .expect(status))
+    }
+
+    before(function() {
+      return Promise.all([ 'A', 'B' ].map(storeId =>
+        app.models.Team.create({ userId: 'generalUser', storeId, role: 'admin' })))
+    })
+
+    after(function() {
+      return app.models.Team.destroyAll({ userId: 'generalUser' })
+    })
+
+    it('should not allow non admins to create API keys', function() {
+      return createApiKey('storeManagerA', [ 'member' ], 401)
+    })
+
+    it('should not create API keys with invalid roles', function() {
+      return createApiKey('storeAdminA', [ 'owner' ], 400)
+    })
+
+    it('should create API keys that are restricted to the group', function() {
+      return createApiKey('storeAdminA', [ '$group:member' ], 200)
+        .then(res => {
+          expect(res.body).to.have.property('userId', 'storeAdminA')
+          expect(res.body.groupGrant).to.deep.equal({ groupModel: 'Store', groupId: 'A', roles: [ 'member' ] })
+        })
+    })
+
+    it('should only return content from the granted group', function() {
+      return createApiKey('generalUser', [ 'member' ], 200)
+        .then(res => json('get', `/api/invoices?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.not.be.empty()
+          expect(res.body.every(invoice => invoice.storeId === 'A')).to.be.true()
+        })
+    })
+
+    it('should not allow access to other groups of the user', function() {
+      return createApiKey('generalUser', [ 'member' ], 200)
+        .then(res => json('get', `/api/invoices/2?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should only grant the roles of the API key', function() {
+      return createApiKey('generalUser', [ 'member' ], 200)
+        .then(res => json('put', `/api/invoices/3?access_token=${res.body.id}`)
+          .send({ invoiceNumber: 3 })
+          .expect(401))
+    })
+
+    it('should not allow selecting another group with an API key', function() {
+      return createApiKey('generalUser', [ 'member' ], 200)
+        .then(res => request(app).get(`/api/invoices?access_token=${res.body.id}`)
+          .set('X-Access-Group', 'B')
+          .expect(403))
+    })
+
+    it('should revoke API keys', function() {
+      return logInAs('storeAdminA')
+        .then(login => createApiKey('storeAdminA', [ 'member' ], 200)
+          .then(res => json('delete', `/api/stores/A/apiKeys/${res.body.id}?access_token=${login.body.id}`)
+            .expect(200)
+            .then(() => json('get', `/api/invoices/3?access_token=${res.body.id}`)
+              .expect(401))))
+    })
+
+    it('should stop granting access once the user leaves the group', function() {
+      return createApiKey('generalUser', [ 'member' ], 200)
+        .then(res => app.models.Team.destroyAll({ userId: 'generalUser', storeId: 'A' })
+          .then(() => json('get', `/api/invoices/3?access_token=${res.body.id}`)
+            .expect(401)))
+    })
+  })
+
+  describe('Visibility', function() {
+    function productIds(res) {
+      return res.body.map(product => String(product.id)).sort()
+    }
+
+    before(function() {
+      return app.models.Product.create([
+        { id: '1', storeId: 'A', name: 'Public product A', visibility: 'public' },
+        { id: '2', storeId: 'A', name: 'Authenticated product A', visibility: 'authenticated' },
+        { id: '3', storeId: 'A', name: 'Private product A', visibility: 'private' },
+        { id: '4', storeId: 'B', name: 'Public product B', visibility: 'public' },
+        { id: '5', storeId: 'B', name: 'Product B' },
+      ])
+    })
+
+    after(function() {
+      return app.models.Product.destroyAll()
+    })
+
+    it('should allow anonymous users to read public content', function() {
+      return json('get', '/api/products/1')
+        .expect(200)
+    })
+
+    it('should not allow anonymous users to read authenticated content', function() {
+      return json('get', '/api/products/2')
+        .expect(401)
+    })
+
+    it('should only return public content to anonymous users', function() {
+      return json('get', '/api/products')
+        .expect(200)
+        .then(res => expect(productIds(res)).to.deep.equal([ '1', '4' ]))
+    })
+
+    it('should allow authenticated users to read authenticated content of other groups', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/products/2?access_token=${res.body.id}`)
+          .expect(200))
+    })
+
+    it('should not allow users to read private content of other groups', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/products/3?access_token=${res.body.id}`)
+          .expect(401))
+    })
+
+    it('should return visible content and content from the users groups', function() {
+      return logInAs('storeMemberB')
+        .then(res => json('get', `/api/products?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => expect(productIds(res)).to.deep.equal([ '1', '2', '4', '5' ]))
+    })
+
+    it('should not allow changing public content of other groups', function() {
+      return logInAs('storeManagerB')
+        .then(res => json('put', `/api/products/1?access_token=${res.body.id}`)
+          .send({ name: 'Changed' })
+          .expect(401))
+    })
+
+    it('should not include public content of other groups in bulk updates', function() {
+      return logInAs('storeManagerB')
+        .then(res => json('post', `/api/products/update?where={}&access_token=${res.body.id}`)
+          .send({ name: 'Changed' })
+          .expect(200))
+        .then(() => app.models.Product.find({ where: { name: 'Changed' } }, { skipAccess: true }))
+        .then(products => {
+          expect(products.map(product => product.storeId)).to.deep.equal([ 'B', 'B' ])
+        })
+    })
+  })
+
+  describe('Sharing', function() {
+    let sharedInvoice = null
+
+    function share(username, data, status) {
+      return logInAs(username)
+        .then(res => json('post', `/api/stores/A/shares?access_token=${res.body.id}`)
+          .send(Object.assign({ resourceModel: 'Invoice', resourceId: sharedInvoice.id, targetGroupId: 'B' }, data))
+          .expect(status))
+    }
+
+    function getInvoice(username, status) {
+      return logInAs(username)
+        .then(res => json('get', `/api/invoices/${sharedInvoice.id}?access_token=${res.body.id}`)
+          .expect(status))
+    }
+
+    before(function() {
+      return app.models.Invoice.create({ storeId: 'A', invoiceNumber: 401 })
+        .then(res => {
+          sharedInvoice = res
+        })
+    })
+
+    afterEach(function() {
+      return app.models.ShareGrant.destroyAll()
+    })
+
+    after(function() {
+      return app.models.Invoice.destroyById(sharedInvoice.id)
+    })
+
+    it('should not allow users without the share role to share records', function() {
+      return share('storeMemberA', { role: 'member' }, 401)
+    })
+
+    it('should not share records with invalid roles', function() {
+      return share('storeManagerA', { role: 'owner' }, 400)
+    })
+
+    it('should not share records of other groups', function() {
+      return share('storeManagerA', { role: 'member', resourceId: 2 }, 404)
+    })
+
+    it('should not share records with a role that the user does not have', function() {
+      return share('storeManagerA', { role: 'admin' }, 403)
+    })
+
+    it('should not share records with the group that they belong to', function() {
+      return share('storeManagerA', { role: 'member', targetGroupId: 'A' }, 400)
+    })
+
+    it('should not share records of models that are not group content', function() {
+      return share('storeManagerA', { role: 'member', resourceModel: 'user', resourceId: 'storeMemberB' }, 400)
+    })
+
+    it('should allow members of the target group to read a shared record', function() {
+      return getInvoice('storeMemberB', 401)
+        .then(() => share('storeManagerA', { role: 'member' }, 200))
+        .then(res => {
+          expect(res.body).to.have.property('resourceId', String(sharedInvoice.id))
+          expect(res.body).to.have.property('storeId', 'B')
+          return getInvoice('storeMemberB', 200)
+        })
+    })
+
+    it('should include shared records in lists', function() {
+      return share('storeManagerA', { role: 'member' }, 200)
+        .then(() => logInAs('storeMemberB'))
+        .then(res => json('get', `/api/invoices?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body.map(invoice => invoice.id)).to.include(sharedInvoice.id)
+          expect(res.body.filter(invoice => invoice.storeId === 'A')).to.have.length(1)
+        })
+    })
+
+    it('should only grant the shared role', function() {
+      return share('storeManagerA', { role: 'member' }, 200)
+        .then(() => logInAs('storeManagerB'))
+        .then(res => json('put', `/api/invoices/${sharedInvoice.id}?access_token=${res.body.id}`)
+          .send({ invoiceNumber: 402 })
+          .expect(401))
+    })
+
+    it('should allow deleting records that are shared with a role that may delete them', function() {
+      return share('storeAdminA', { role: 'admin' }, 200)
+        .then(() => logInAs('storeAdminB'))
+        .then(res => json('delete', `/api/invoices/${sharedInvoice.id}?access_token=${res.body.id}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.property('count', 1)
+          return app.models.Invoice.findById(sharedInvoice.id, { }, { skipAccess: true })
+        })
+        .then(invoice => {
+          expect(invoice).to.be.null()
+          return app.models.Invoice.create({ storeId: 'A', invoiceNumber: 401 })
+        })
+        .then(res => {
+          sharedInvoice = res
+        })
+    })
+
+    it('should not include records that are shared with a role that may not write to them in bulk updates', function() {
+      return share('storeManagerA', { role: 'member' }, 200)
+        .then(() => logInAs('storeAdminB'))
+        .then(res => json('post', `/api/invoices/update?access_token=${res.body.id}`)
+          .query({ where: JSON.stringify({ id: sharedInvoice.id }) })
+          .send({ invoiceNumber: 402 })
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.have.property('count', 0)
+          return app.models.Invoice.findById(sharedInvoice.id, { }, { skipAccess: true })
+        })
+        .then(invoice => {
+          expect(invoice).to.have.property('invoiceNumber', 401)
+        })
+    })
+
+    it('should not grant access through expired shares', function() {
+      return share('storeManagerA', { role: 'member', expires: new Date(Date.now() - 1000) }, 200)
+        .then(() => getInvoice('storeMemberB', 401))
+    })
+
+    it('should revoke shares', function() {
+      return share('storeManagerA', { role: 'member' }, 200)
+        .then(res => logInAs('storeManagerA')
+          .then(login => json('delete', `/api/stores/A/shares/${res.body.id}?access_token=${login.body.id}`)
+            .expect(200)))
+        .then(() => getInvoice('storeMemberB', 401))
+    })
+
+    it('should not revoke shares of other groups', function() {
+      return share('storeManagerA', { role: 'member' }, 200)
+        .then(res => logInAs('storeManagerB')
+          .then(login => json('delete', `/api/stores/B/shares/${res.body.id}?access_token=${login.body.id}`)
+            .expect(404)))
+    })
+  })
+
+  describe('Transfers', function() {
+    let transferredInvoice = null
+
+    function transfer(username, groupId, status) {
+      return logInAs(username)
+        .then(res => json('post', `/api/invoices/${transferredInvoice.id}/transferToGroup?access_token=${res.body.id}`)
+          .send({ groupId })
+          .expect(status))
+    }
+
+    before(function() {
+      return Promise.all([ 'A', 'B' ].map(storeId =>
+        app.models.Team.create({ userId: 'generalUser', storeId, role: 'admin' })))
+        .then(() => app.models.Invoice.create({ storeId: 'A', invoiceNumber: 501 }))
+        .then(res => {
+          transferredInvoice = res
+          return app.models.Transaction.create([ 1, 2 ].map(i =>
+            ({ storeId: 'A', invoiceId: res.id, name: `Transfer transaction ${i}` })))
+        })
+    })
+
+    after(function() {
+      return Promise.all([
+        app.models.Team.destroyAll({ userId: 'generalUser' }),
+        app.models.Invoice.destroyById(transferredInvoice.id),
+        app.models.Transaction.destroyAll({ invoiceId: transferredInvoice.id }),
+      ])
+    })
+
+    it('should not allow users without the transfer role to transfer content', function() {
+      return transfer('storeManagerA', 'B', 401)
+    })
+
+    it('should require the transfer role in the target group', function() {
+      return transfer('storeAdminA', 'B', 403)
+    })
+
+    it('should not transfer content to a group that does not exist', function() {
+      return transfer('generalUser', 'C', 404)
+    })
+
+    it('should not transfer content to the group it belongs to', function() {
+      return transfer('generalUser', 'A', 400)
+    })
+
+    it('should move the records back if the transfer fails', function() {
+      this.sinon.stub(app.models.GroupTransfer, 'create').callsFake(() => Promise.reject(new Error('failed')))
+
+      return transfer('generalUser', 'B', 500)
+        .then(() => Promise.all([
+          app.models.Invoice.findById(transferredInvoice.id, { }, { skipAccess: true }),
+          app.models.Transaction.find({ where: { invoiceId: transferredInvoice.id } }, { skipAccess: true }),
+        ]))
+        .then(results => {
+          const [ invoice, transactions ] = results
+
+          expect(invoice).to.have.property('storeId', 'A')
+          expect(transactions).to.have.length(2)
+          transactions.forEach(transaction => expect(transaction).to.have.property('storeId', 'A'))
+        })
+    })
+
+    it('should return the error that made the transfer fail if the records can not be moved back', function() {
+      this.sinon.stub(app.models.GroupTransfer, 'create').callsFake(() => Promise.reject(new Error('failed')))
+      const updateAll = this.sinon.stub(app.models.Invoice, 'updateAll')
+        .callsFake(() => Promise.reject(new Error('restore failed')))
+
+      return transfer('generalUser', 'B', 500)
+        .then(res => {
+          expect(res.body.error).to.have.property('message', 'failed')
+          updateAll.restore()
+          return Promise.all([
+            app.models.Invoice.updateAll({ id: transferredInvoice.id }, { storeId: 'A' }, { skipAccess: true }),
+            app.models.Transaction.updateAll({ invoiceId: transferredInvoice.id }, { storeId: 'A' },
+              { skipAccess: true }),
+          ])
+        })
+    })
+
+    it('should delete the transfer record if the transfer fails after it was created', function() {
+      const connector = app.models.Invoice.getConnector()
+
+      // Let the transfer use a transaction that can not be committed (and that has no effect when rolled back).
+      connector.beginTransaction = () => null
+      this.sinon.stub(app.models.Invoice, 'beginTransaction').callsFake(() => Promise.resolve({
+        commit: () => Promise.reject(new Error('failed')),
+        rollback: () => Promise.resolve(),
+      }))
+
+      return transfer('generalUser', 'B', 500)
+        .finally(() => delete connector.beginTransaction)
+        .then(() => Promise.all([
+          app.models.Invoice.findById(transferredInvoice.id, { }, { skipAccess: true }),
+          app.models.GroupTransfer.find({ where: { modelId: String(transferredInvoice.id) } }),
+        ]))
+        .then(results => {
+          const [ invoice, transfers ] = results
+
+          expect(invoice).to.have.property('storeId', 'A')
+          expect(transfers).to.have.length(0)
+        })
+    })
+
+    it('should transfer content and its dependent records to another group', function() {
+      return transfer('generalUser', 'B', 200)
+        .then(res => {
+          expect(res.body).to.have.property('storeId', 'B')
+          return Promise.all([
+            app.models.Transaction.find({ where: { invoiceId: transferredInvoice.id } }, { skipAccess: true }),
+            app.models.GroupTransfer.find({ where: { modelId: String(transferredInvoice.id) } }),
+          ])
+        })
+        .then(results => {
+          const [ transactions, transfers ] = results
+
+          expect(transactions).to.have.length(2)
+          transactions.forEach(transaction => expect(transaction).to.have.property('storeId', 'B'))
+          expect(transfers).to.have.length(1)
+          expect(transfers[0]).to.have.property('userId', 'generalUser')
+          expect(transfers[0]).to.have.property('model', 'Invoice')
+          expect(transfers[0]).to.have.property('fromGroupId', 'A')
+          expect(transfers[0]).to.have.property('toGroupId', 'B')
+          expect(transfers[0].dependents.Transaction).to.have.members(transactions.map(transaction => transaction.id))
+        })
+    })
+  })
+
+  describe('Impersonation', function() {
+    function impersonate(username, userId, status) {
+      return logInAs(username)
+        .then(res => json('get', `/api/invoices?access_token=${res.body.id}`)
+          .set('X-Impersonate-User', userId)
+          .expect(status))
+    }
+
+    it('should return the content of the impersonated user', function() {
+      return impersonate('admin', 'storeMemberA', 200)
+        .then(res => {
+          expect(res.body).to.not.be.empty()
+          expect(res.body.every(invoice => invoice.storeId === 'A')).to.be.true()
+        })
+    })
+
+    it('should require the impersonate role', function() {
+      return impersonate('storeAdminA', 'storeMemberA', 403)
+    })
+
+    it('should resolve the ACLs for the impersonated user', function() {
+      let acl = null
+
+      return app.models.ACL.create({
+        model: 'Invoice',
+        property: '*',
+        accessType: '*',
+        principalType: 'ROLE',
+        principalId: 'admin',
+        permission: 'ALLOW',
+      })
+        .then(res => {
+          acl = res
+          return logInAs('admin')
+        })
+        .then(res => json('get', `/api/invoices/2?access_token=${res.body.id}`)
+          .expect(200)
+          .then(() => json('get', `/api/invoices/2?access_token=${res.body.id}`)
+            .set('X-Impersonate-User', 'storeMemberA')
+            .expect(401)))
+        .finally(() => acl && acl.destroy())
+    })
+
+    it('should not impersonate unknown users', function() {
+      return impersonate('admin', 'unknownUser', 404)
+    })
+
+    it('should not allow changes to group memberships', function() {
+      return logInAs('admin')
+        .then(res => json('put', `/api/stores/A/members/storeMemberA?access_token=${res.body.id}`)
+          .set('X-Impersonate-User', 'storeAdminA')
+          .send({ roles: [ 'manager' ] })
+          .expect(403))
+        .then(() => app.models.Team.findOne({ where: { userId: 'storeMemberA', storeId: 'A' } }, { skipAccess: true }))
+        .then(membership => expect(membership).to.have.property('role', 'member'))
+    })
+  })
 })
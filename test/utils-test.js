@@ -1,6 +1,8 @@
 'use strict'
 
 const path = require('path')
+const loopback = require('loopback')
+const LoopBackContext = require('loopback-context')
 const chai = require('chai')
 const { expect } = chai
 
@@ -11,6 +13,23 @@ require('mocha-sinon')
 
 const SIMPLE_APP = path.join(__dirname, 'fixtures', 'simple-app')
 const app = require(path.join(SIMPLE_APP, 'server/server.js'))
+const { AccessContext } = require('loopback/lib/access-context')
+const AccessUtils = require('../lib/utils')
+const REQUEST_KEYS = require('../lib/request-keys')
+
+function createTestApp(groupProperties) {
+  const testApp = loopback({ localRegistry: true, loadBuiltinModels: true })
+
+  testApp.set('logoutSessionsOnSensitiveChanges', true)
+  testApp.dataSource('db', { connector: 'memory' })
+  testApp.model(testApp.registry.createModel({
+    name: 'Organization',
+    base: 'PersistedModel',
+    properties: Object.assign({ id: { type: 'string', id: true } }, groupProperties),
+  }), { dataSource: 'db' })
+  testApp.model(testApp.registry.getModel('User'), { dataSource: 'db' })
+  return testApp
+}
 
 describe('Utils', function() {
   describe('isGroupModel', function() {
@@ -31,7 +50,75 @@ describe('Utils', function() {
       const groupContentModels = app.accessUtils.getGroupContentModels()
 
       expect(groupContentModels).to.be.an('array')
-      expect(groupContentModels).to.deep.equal([ 'Invoice', 'Transaction' ])
+      expect(groupContentModels).to.deep.equal([ 'Invoice', 'Transaction', 'LineItem', 'Product' ])
+    })
+  })
+
+  describe('multiple group models', function() {
+    const projectUtils = app.accessUtils.groupTypes[1]
+
+    it('should set up a helper for each group model', function() {
+      expect(app.accessUtils.groupTypes).to.have.length(2)
+      expect(projectUtils.isGroupModel('Project')).to.be.true()
+      expect(projectUtils.isGroupModel('Store')).to.be.false()
+    })
+
+    it('should return the group content models of each group model', function() {
+      expect(projectUtils.getGroupContentModels()).to.deep.equal([ 'Task' ])
+    })
+
+    it('should create the group access model of each group model', function() {
+      expect(app.models.ProjectMember).to.be.a('function')
+      expect(projectUtils.isGroupAccessModel(app.models.ProjectMember)).to.be.true()
+    })
+
+    it('should build a filter for each group model', function() {
+      return projectUtils.buildFilter('storeMemberA', app.models.Task)
+        .then(filter => {
+          expect(filter).to.deep.equal({
+            projectId: {
+              inq: [ 'X' ],
+            },
+          })
+        })
+    })
+
+    it('should reject duplicate role names across group models', function() {
+      const component = require('../lib')
+      const testApp = createTestApp()
+
+      expect(() => component(testApp, {
+        groups: [
+          { groupModel: 'Organization', groupAccessModel: 'Membership' },
+          { groupModel: 'Organization', groupAccessModel: 'OtherMembership' },
+        ],
+      })).to.throw(/unique/)
+    })
+  })
+
+  describe('getGroupRelationPath', function() {
+    it('should return an empty path for a model that belongs to the group model', function() {
+      expect(app.accessUtils.getGroupRelationPath(app.models.Transaction)).to.deep.equal([])
+    })
+    it('should return the chain of relations that lead to the group model', function() {
+      const relationPath = app.accessUtils.getGroupRelationPath(app.models.LineItem)
+
+      expect(relationPath).to.have.length(1)
+      expect(relationPath[0]).to.have.property('name', 'invoice')
+    })
+    it('should return null for a model that is not group content', function() {
+      expect(app.accessUtils.getGroupRelationPath(app.models.user)).to.be.null()
+    })
+  })
+
+  describe('getGroupIdFromData', function() {
+    it('should follow a chain of relations to find the group id', function() {
+      return app.accessUtils.getGroupIdFromData(app.models.LineItem, { invoiceId: '2' })
+        .then(groupId => expect(groupId).to.equal('B'))
+    })
+    it('should return null if the chain can not be followed', function() {
+      return app.accessUtils.getGroupIdFromData(app.models.LineItem, { invoiceId: 'unknown' })
+        .then(groupId => expect(groupId).to.be.null())
     })
   })
 
@@ -58,6 +145,49 @@ describe('Utils', function() {
     })
   })
 
+  describe('getImplyingRoleNames', function() {
+    it('should return the role and every role that implies it', function() {
+      expect(app.accessUtils.getImplyingRoleNames('member')).to.deep.equal([ 'member', 'manager', 'admin' ])
+      expect(app.accessUtils.getImplyingRoleNames('admin')).to.deep.equal([ 'admin' ])
+    })
+  })
+
+  describe('getPermissionPrincipalIds', function() {
+    it('should return a principalId for each granted permission', function() {
+      expect(app.accessUtils.getPermissionPrincipalIds()).to.deep.equal([ '$group:can:invoice.approve' ])
+    })
+  })
+
+  describe('getPrincipalRoleNames', function() {
+    it('should return the roles that have been granted a permission', function() {
+      expect(app.accessUtils.getPrincipalRoleNames('$group:can:invoice.approve')).to.deep.equal([ 'manager' ])
+    })
+    it('should return the role name of a role principal', function() {
+      expect(app.accessUtils.getPrincipalRoleNames('$group:admin')).to.deep.equal([ 'admin' ])
+    })
+    it('should reject permissions granted to unknown roles', function() {
+      expect(() => new AccessUtils(app, {
+        groupRoles: [ '$group:admin' ],
+        rolePermissions: { '$group:owner': [ 'invoice.approve' ] },
+      })).to.throw(/not a group role/)
+    })
+  })
+
+  describe('hasRoleInGroup', function() {
+    it('should accept a role that implies the requested role', function() {
+      return app.accessUtils.hasRoleInGroup('storeAdminA', 'member', 'A')
+        .then(res => expect(res).to.be.true())
+    })
+    it('should not accept a role that is implied by the requested role', function() {
+      return app.accessUtils.hasRoleInGroup('storeMemberA', 'manager', 'A')
+        .then(res => expect(res).to.be.false())
+    })
+    it('should not accept a role in another group', function() {
+      return app.accessUtils.hasRoleInGroup('storeAdminB', 'member', 'A')
+        .then(res => expect(res).to.be.false())
+    })
+  })
+
   describe('getUserGroups', function() {
     it('should return a list of groups for a user', function() {
       return app.accessUtils.getUserGroups('generalUser')
@@ -81,4 +211,827 @@ describe('Utils', function() {
         })
     })
   })
+
+  describe('setupGroupAccessModel', function() {
+    it('should not replace an existing group access model', function() {
+      const { Team } = app.models
+
+      app.accessUtils.setupGroupAccessModel()
+      expect(app.models.Team).to.equal(Team)
+    })
+
+    it('should create a group access model if none exists', function() {
+      const testApp = createTestApp()
+      const accessUtils = new AccessUtils(testApp, {
+        groupModel: 'Organization',
+        groupAccessModel: 'Membership',
+        foreignKey: 'organizationId',
+      })
+
+      accessUtils.setupGroupAccessModel()
+
+      const { Membership, Organization, User } = testApp.models
+
+      expect(Membership).to.be.a('function')
+      expect(Membership.definition.properties).to.have.property('userId')
+      expect(Membership.definition.properties).to.have.property('organizationId')
+      expect(Membership.definition.properties).to.have.property('role')
+      expect(Membership.relations.user).to.have.property('modelTo', User)
+      expect(Membership.relations.organization).to.have.property('modelTo', Organization)
+      expect(Organization.relations.users).to.have.property('modelThrough', Membership)
+      expect(User.relations.organizations).to.have.property('modelThrough', Membership)
+
+      return Organization.create({ id: 'org1' })
+        .then(org => Membership.create({ userId: 1, organizationId: org.id, role: 'admin' }))
+        .then(() => accessUtils.hasRoleInGroup(1, 'admin', 'org1'))
+        .then(res => expect(res).to.be.true())
+    })
+  })
+
+  describe('group hierarchy', function() {
+    const testApp = createTestApp({ parentId: { type: 'string' } })
+    const accessUtils = new AccessUtils(testApp, {
+      groupModel: 'Organization',
+      groupAccessModel: 'Membership',
+      foreignKey: 'organizationId',
+      parentKey: 'parentId',
+      maxDepth: 2,
+    })
+
+    accessUtils.setupGroupAccessModel()
+
+    before(function() {
+      const { Organization, Membership } = testApp.models
+
+      return Promise.all([
+        { id: 'org' },
+        { id: 'region', parentId: 'org' },
+        { id: 'store', parentId: 'region' },
+        { id: 'kiosk', parentId: 'store' },
+        { id: 'loopA', parentId: 'loopB' },
+        { id: 'loopB', parentId: 'loopA' },
+      ].map(data => Organization.create(data)))
+        .then(() => Promise.all([
+          { userId: 1, organizationId: 'org', role: 'admin' },
+          { userId: 2, organizationId: 'store', role: 'member' },
+          { userId: 3, organizationId: 'loopA', role: 'admin' },
+        ].map(data => Membership.create(data))))
+    })
+
+    it('should inherit a role from an ancestor group', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'store')
+        .then(res => expect(res).to.be.true())
+    })
+
+    it('should not inherit a role from a descendant group', function() {
+      return accessUtils.hasRoleInGroup(2, 'member', 'region')
+        .then(res => expect(res).to.be.false())
+    })
+
+    it('should stop following ancestors at the depth limit', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'kiosk')
+        .then(res => expect(res).to.be.false())
+    })
+
+    it('should detect cycles in the group hierarchy', function() {
+      return accessUtils.getGroupAncestorIds('loopB')
+        .then(groupIds => expect(groupIds).to.deep.equal([ 'loopB', 'loopA' ]))
+    })
+
+    it('should include descendant groups in the filter up to the depth limit', function() {
+      return accessUtils.buildFilter(1)
+        .then(filter => {
+          expect(filter).to.deep.equal({
+            organizationId: {
+              inq: [ 'org', 'region', 'store' ],
+            },
+          })
+        })
+    })
+
+    it('should include descendant groups of a cyclic hierarchy once', function() {
+      return accessUtils.buildFilter(3)
+        .then(filter => expect(filter.organizationId.inq).to.deep.equal([ 'loopA', 'loopB' ]))
+    })
+  })
+
+  describe('caching', function() {
+    const testApp = createTestApp()
+    const accessUtils = new AccessUtils(testApp, {
+      groupModel: 'Organization',
+      groupAccessModel: 'Membership',
+      foreignKey: 'organizationId',
+      cacheSize: 10,
+    })
+
+    accessUtils.setupGroupAccessModel()
+    accessUtils.setupCacheInvalidation()
+
+    it('should cache memberships across requests', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'org')
+        .then(() => accessUtils.hasRoleInGroup(1, 'admin', 'org'))
+        .then(res => {
+          expect(res).to.be.false()
+          expect(accessUtils.getCacheStats()).to.deep.equal({
+            sharedSize: 1,
+            requestHits: 0,
+            requestMisses: 0,
+            sharedHits: 1,
+            sharedMisses: 1,
+          })
+        })
+    })
+
+    it('should invalidate cached memberships when they change', function() {
+      return testApp.models.Membership.create({ userId: 1, organizationId: 'org', role: 'admin' })
+        .then(() => accessUtils.hasRoleInGroup(1, 'admin', 'org'))
+        .then(res => {
+          expect(res).to.be.true()
+          expect(accessUtils.getCacheStats()).to.have.property('sharedMisses', 2)
+        })
+    })
+
+    it('should invalidate the cached memberships of the previous user when a membership changes', function() {
+      return testApp.models.Membership.findOne({ where: { userId: 1 } })
+        .then(membership => accessUtils.hasRoleInGroup(1, 'admin', 'org')
+          .then(res => {
+            expect(res).to.be.true()
+            membership.userId = 3
+            return membership.save()
+          }))
+        .then(() => accessUtils.hasRoleInGroup(1, 'admin', 'org'))
+        .then(res => expect(res).to.be.false())
+    })
+
+    it('should cache lookups within a request', function() {
+      return new Promise((resolve, reject) => {
+        LoopBackContext.runInContext(function() {
+          Promise.all([
+            accessUtils.hasRoleInGroup(2, 'admin', 'org'),
+            accessUtils.hasRoleInGroup(2, 'admin', 'org'),
+          ])
+            .then(resolve, reject)
+        })
+      })
+        .then(() => {
+          expect(accessUtils.getCacheStats()).to.have.property('requestHits', 1)
+          expect(accessUtils.getCacheStats()).to.have.property('requestMisses', 1)
+        })
+    })
+  })
+
+  describe('time-bound memberships', function() {
+    const testApp = createTestApp()
+    const accessUtils = new AccessUtils(testApp, {
+      groupModel: 'Organization',
+      groupAccessModel: 'Membership',
+      foreignKey: 'organizationId',
+    })
+    const DAY = 24 * 60 * 60 * 1000
+
+    accessUtils.setupGroupAccessModel()
+
+    before(function() {
+      const { Membership } = testApp.models
+
+      return Promise.all([
+        { userId: 1, organizationId: 'current', role: 'admin', validUntil: new Date(Date.now() + DAY) },
+        { userId: 1, organizationId: 'expired', role: 'admin', validUntil: new Date(Date.now() - DAY) },
+        { userId: 1, organizationId: 'future', role: 'admin', validFrom: new Date(Date.now() + DAY) },
+        { userId: 1, organizationId: 'permanent', role: 'admin' },
+      ].map(data => Membership.create(data)))
+    })
+
+    it('should accept a membership within its validity window', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'current')
+        .then(res => expect(res).to.be.true())
+    })
+
+    it('should not accept an expired membership', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'expired')
+        .then(res => expect(res).to.be.false())
+    })
+
+    it('should not accept a membership that has not started yet', function() {
+      return accessUtils.hasRoleInGroup(1, 'admin', 'future')
+        .then(res => expect(res).to.be.false())
+    })
+
+    it('should only include active memberships in the filter', function() {
+      return accessUtils.buildFilter(1)
+        .then(filter => expect(filter.organizationId.inq).to.deep.equal([ 'current', 'permanent' ]))
+    })
+
+    it('should list expired memberships', function() {
+      return accessUtils.getExpiredMemberships()
+        .then(memberships => {
+          expect(memberships).to.have.length(1)
+          expect(memberships[0]).to.have.property('organizationId', 'expired')
+        })
+    })
+
+    it('should purge expired memberships', function() {
+      return accessUtils.purgeExpiredMemberships()
+        .then(info => {
+          expect(info).to.have.property('count', 1)
+          return testApp.models.Membership.count()
+        })
+        .then(count => expect(count).to.equal(3))
+    })
+  })
+
+  describe('audit log', function() {
+    const testApp = createTestApp()
+
+    function createAccessUtils(options) {
+      const accessUtils = new AccessUtils(testApp, Object.assign({
+        groupModel: 'Organization',
+        groupAccessModel: 'Membership',
+        foreignKey: 'organizationId',
+        auditModel: 'AccessDecision',
+      }, options))
+
+      accessUtils.setupGroupAccessModel()
+      accessUtils.setupAuditLog()
+      return accessUtils
+    }
+
+    function createContext() {
+      return new AccessContext({
+        model: testApp.models.Organization,
+        modelId: 'org',
+        property: 'findById',
+        accessType: 'READ',
+        principals: [ { type: 'USER', id: 1 } ],
+      })
+    }
+
+    afterEach(function() {
+      return testApp.models.AccessDecision.destroyAll()
+    })
+
+    it('should record access decisions with the audit model', function() {
+      const accessUtils = createAccessUtils()
+
+      return accessUtils.recordAccessDecision(createContext(), '$group:admin', false)
+        .then(() => testApp.models.AccessDecision.find())
+        .then(decisions => {
+          expect(decisions).to.have.length(1)
+          expect(decisions[0].toJSON()).to.include({
+            userId: 1,
+            model: 'Organization',
+            modelId: 'org',
+            method: 'findById',
+            accessType: 'READ',
+            principal: '$group:admin',
+            groupModel: 'Organization',
+            allowed: false,
+          })
+          expect(decisions[0].toJSON().groupIds).to.deep.equal([ 'org' ])
+        })
+    })
+
+    it('should only record denials when auditDenialsOnly is set', function() {
+      const accessUtils = createAccessUtils({ auditDenialsOnly: true })
+
+      return Promise.all([
+        accessUtils.recordAccessDecision(createContext(), '$group:admin', true),
+        accessUtils.recordAccessDecision(createContext(), '$group:admin', false),
+      ])
+        .then(() => testApp.models.AccessDecision.find())
+        .then(decisions => {
+          expect(decisions).to.have.length(1)
+          expect(decisions[0]).to.have.property('allowed', false)
+        })
+    })
+
+    it('should not record decisions that are not sampled', function() {
+      const accessUtils = createAccessUtils({ auditSampleRate: 0 })
+
+      return accessUtils.recordAccessDecision(createContext(), '$group:admin', false)
+        .then(() => testApp.models.AccessDecision.count())
+        .then(count => expect(count).to.equal(0))
+    })
+
+    it('should record access decisions with custom sinks', function() {
+      const accessUtils = createAccessUtils()
+      const sink = this.sinon.spy()
+
+      accessUtils.addAuditSink(sink)
+      return accessUtils.recordAccessDecision(createContext(), '$group:member', true, [ 'org' ])
+        .then(() => {
+          expect(sink).to.have.been.calledOnce()
+          expect(sink.firstCall.args[0]).to.include({ principal: '$group:member', allowed: true })
+        })
+    })
+  })
+
+  describe('explain', function() {
+    it('should explain an access decision for each group type', function() {
+      return app.accessUtils.explain({ userId: 'storeMemberA', model: 'Task', method: 'findById', modelId: 1 })
+        .then(res => {
+          expect(res).to.have.property('permission', 'ALLOW')
+          expect(res.groups).to.have.length(1)
+          expect(res.groups[0]).to.have.property('groupModel', 'Project')
+          expect(res.groups[0]).to.have.property('currentGroupId', 'X')
+          expect(res.groups[0].filter).to.have.property('applies', false)
+        })
+    })
+
+    it('should not record explained access decisions in the audit log', function() {
+      const sink = this.sinon.spy()
+
+      app.accessUtils.auditSinks.push(sink)
+      return app.accessUtils.explain({ userId: 'storeMemberA', model: 'Store', method: 'findById', modelId: 'A' })
+        .then(() => expect(sink).to.not.have.been.called())
+        .finally(() => app.accessUtils.auditSinks.pop())
+    })
+  })
+
+  describe('removeDeniedProperties', function() {
+    const { Invoice, Store } = app.models
+    let invoice = null
+
+    before(function() {
+      return Invoice.create({ storeId: 'A', invoiceNumber: 302, margin: 0.5 }, { skipAccess: true })
+        .then(res => {
+          invoice = res
+        })
+    })
+
+    after(function() {
+      return invoice.destroy({ skipAccess: true })
+    })
+
+    it('should not remove properties that the user can not read from loaded instances', function() {
+      return app.accessUtils.runAs('storeMemberA', () => Invoice.findById(invoice.id))
+        .then(res => expect(res).to.have.property('margin', 0.5))
+    })
+
+    it('should remove properties that the user can not read from model data', function() {
+      return app.accessUtils.runAs('storeMemberA', () =>
+        app.accessUtils.removeDeniedProperties(Invoice, invoice.toJSON()))
+        .then(data => {
+          expect(data).to.have.property('invoiceNumber', 302)
+          expect(data).to.not.have.property('margin')
+        })
+    })
+
+    it('should remove properties that the user can not read from included relations', function() {
+      return app.accessUtils.runAs('storeMemberA', () => Store.findById('A', { include: 'invoices' })
+        .then(store => app.accessUtils.removeDeniedProperties(Store, store.toJSON())))
+        .then(data => {
+          expect(data.invoices).to.not.be.empty()
+          data.invoices.forEach(item => expect(item).to.not.have.property('margin'))
+        })
+    })
+
+    it('should not look up the group of models without protected properties', function() {
+      const spy = this.sinon.spy(app.accessUtils, 'getDataGroupId')
+
+      return app.accessUtils.runAs('storeMemberA', () =>
+        app.accessUtils.removeDeniedProperties(app.models.LineItem, [ { id: 1, invoiceId: invoice.id } ]))
+        .then(() => expect(spy).to.not.have.been.called())
+    })
+  })
+
+  describe('hasPropertyRoles', function() {
+    it('should check the properties of a model and its related models', function() {
+      const { Invoice, LineItem } = app.models
+
+      expect(app.accessUtils.hasPropertyRoles(Invoice, 'read')).to.be.true()
+      expect(app.accessUtils.hasPropertyRoles(LineItem, 'read', false)).to.be.false()
+      expect(app.accessUtils.hasPropertyRoles(LineItem, 'read')).to.be.true()
+    })
+  })
+
+  describe('applyWriteFilter', function() {
+    const { Invoice } = app.models
+
+    // Run a function in a new loopback context, on behalf of a user.
+    function runAs(username, fn) {
+      return app.models.user.findById(username)
+        .then(user => app.accessUtils.getUserGroups(user.getId(), true)
+          .then(groups => new Promise((resolve, reject) => {
+            LoopBackContext.runInContext(function(ctx) {
+              ctx.set('accessCache', null)
+              ctx.set('currentUser', user)
+              ctx.set('currentUserGroups', groups)
+              Promise.resolve(fn()).then(resolve, reject)
+            })
+          })))
+    }
+
+    afterEach(function() {
+      return Invoice.updateAll({ }, { reviewed: false }, { skipAccess: true })
+    })
+
+    it('should restrict bulk updates to the users groups', function() {
+      return runAs('storeAdminA', () => Invoice.updateAll({ }, { reviewed: true }))
+        .then(() => Invoice.find({ where: { reviewed: true } }, { skipAccess: true }))
+        .then(invoices => {
+          expect(invoices).to.not.be.empty()
+          invoices.forEach(invoice => expect(invoice).to.have.property('storeId', 'A'))
+        })
+    })
+
+    it('should restrict bulk updates by id to the users groups', function() {
+      return Invoice.findOne({ where: { storeId: 'B' } }, { skipAccess: true })
+        .then(invoice => runAs('storeAdminA', () => Invoice.updateAll({ id: invoice.id }, { reviewed: true })))
+        .then(info => expect(info).to.have.property('count', 0))
+    })
+
+    it('should restrict bulk deletes to the users groups', function() {
+      return Invoice.findOne({ where: { storeId: 'B' } }, { skipAccess: true })
+        .then(invoice => runAs('storeAdminA', () => Invoice.destroyAll({ id: invoice.id })))
+        .then(info => expect(info).to.have.property('count', 0))
+    })
+
+    it('should not restrict deletes of a loaded instance', function() {
+      return Invoice.create({ storeId: 'B', invoiceNumber: 600, amount: 1 }, { skipAccess: true })
+        .then(invoice => runAs('storeAdminA', () => invoice.destroy())
+          .then(() => Invoice.findById(invoice.id, { }, { skipAccess: true })))
+        .then(invoice => expect(invoice).to.be.null())
+    })
+
+    it('should not restrict bulk updates with the skipAccess option', function() {
+      return runAs('storeAdminA', () => Invoice.updateAll({ storeId: 'B' }, { reviewed: true }, { skipAccess: true }))
+        .then(info => expect(info.count).to.be.above(0))
+    })
+  })
+
+  describe('group lifecycle', function() {
+    function createLifecycleUtils(onGroupDelete, applyToStatic) {
+      const testApp = createTestApp()
+      const accessUtils = new AccessUtils(testApp, {
+        groupModel: 'Organization',
+        groupAccessModel: 'Membership',
+        foreignKey: 'organizationId',
+        onGroupDelete,
+      })
+
+      testApp.model(testApp.registry.createModel({
+        name: 'Document',
+        base: 'PersistedModel',
+        properties: { organizationId: { type: 'string' } },
+        relations: { organization: { type: 'belongsTo', model: 'Organization', foreignKey: 'organizationId' } },
+      }), { dataSource: 'db' })
+      testApp.model(testApp.registry.createModel({
+        name: 'Page',
+        base: 'PersistedModel',
+        properties: { documentId: { type: 'number' } },
+        relations: { document: { type: 'belongsTo', model: 'Document', foreignKey: 'documentId' } },
+      }), { dataSource: 'db' })
+      accessUtils.setupGroupAccessModel()
+      accessUtils.setupGroupLifecycle()
+
+      // Add the filters after the lifecycle hook, as the component does.
+      if (applyToStatic) {
+        accessUtils.setupFilters()
+      }
+
+      const { Organization, Membership, Document, Page } = testApp.models
+
+      return Promise.all([
+        Organization.create([ { id: 'full' }, { id: 'empty' }, { id: 'other' } ]),
+        Membership.create([
+          { userId: 1, organizationId: 'full', role: 'admin' },
+          { userId: 1, organizationId: 'empty', role: 'admin' },
+        ]),
+        Document.create([ { organizationId: 'full' }, { organizationId: 'other' } ]),
+      ])
+        .then(res => Page.create({ documentId: res[2][0].id }))
+        .then(() => accessUtils)
+    }
+
+    it('should delete the content and memberships of a deleted group', function() {
+      return createLifecycleUtils('cascade')
+        .then(accessUtils => {
+          const { Organization, Membership, Document, Page } = accessUtils.app.models
+
+          return Organization.destroyById('full')
+            .then(() => Promise.all([ Document.count(), Page.count(), Membership.count() ]))
+            .then(counts => expect(counts).to.deep.equal([ 1, 0, 1 ]))
+        })
+    })
+
+    // Delete the other group (that user 1 has no membership in) on behalf of user 1.
+    function destroyOtherAsUser(accessUtils) {
+      return new Promise((resolve, reject) => LoopBackContext.runInContext(ctx => {
+        ctx.set('accessCache', null)
+        ctx.set('currentUser', { getId: () => 1 })
+        ctx.set('currentUserGroups', null)
+        accessUtils.app.models.Organization.destroyAll({ id: 'other' }).then(resolve, reject)
+      }))
+    }
+
+    it('should only delete the content of groups that the current user can write to', function() {
+      return createLifecycleUtils('cascade', true)
+        .then(accessUtils => {
+          const { Organization, Document } = accessUtils.app.models
+
+          return destroyOtherAsUser(accessUtils)
+            .then(info => {
+              expect(info).to.have.property('count', 0)
+              return Promise.all([ Organization.count({ id: 'other' }), Document.count({ organizationId: 'other' }) ])
+            })
+            .then(counts => expect(counts).to.deep.equal([ 1, 1 ]))
+        })
+    })
+
+    it('should only archive groups that the current user can write to', function() {
+      return createLifecycleUtils('archive', true)
+        .then(accessUtils => destroyOtherAsUser(accessUtils)
+          .then(() => accessUtils.app.models.Organization.findById('other'))
+          .then(group => expect(group).to.have.property('archived', false)))
+    })
+
+    it('should not delete a group that has content', function() {
+      return createLifecycleUtils('block')
+        .then(accessUtils => accessUtils.app.models.Organization.destroyById('full')
+          .then(() => {
+            throw new Error('Expected the delete to fail')
+          }, err => expect(err).to.have.property('statusCode', 409)))
+    })
+
+    it('should delete the memberships of an empty group', function() {
+      return createLifecycleUtils('block')
+        .then(accessUtils => {
+          const { Organization, Membership } = accessUtils.app.models
+
+          return Organization.destroyById('empty')
+            .then(() => Promise.all([ Organization.count(), Membership.count({ organizationId: 'empty' }) ]))
+            .then(counts => expect(counts).to.deep.equal([ 2, 0 ]))
+        })
+    })
+
+    it('should archive a deleted group and keep its content', function() {
+      return createLifecycleUtils('archive')
+        .then(accessUtils => {
+          const { Organization, Document } = accessUtils.app.models
+
+          return Organization.destroyById('full')
+            .then(() => Promise.all([ Organization.findById('full'), Document.count({ organizationId: 'full' }) ]))
+            .then(res => {
+              expect(res[0]).to.have.property('archived', true)
+              expect(res[1]).to.equal(1)
+            })
+        })
+    })
+
+    it('should make the content of an archived group read-only', function() {
+      return createLifecycleUtils('archive')
+        .then(accessUtils => {
+          const { Organization, Document } = accessUtils.app.models
+
+          return Organization.destroyById('full')
+            .then(() => Document.findOne({ where: { organizationId: 'full' } }))
+            .then(doc => Promise.all([
+              accessUtils.isArchivedGroupWrite({ model: Document, modelId: doc.id, accessType: 'WRITE' }),
+              accessUtils.isArchivedGroupWrite({ model: Document, modelId: doc.id, accessType: 'READ' }),
+              accessUtils.buildFilter(1, Document),
+              accessUtils.buildFilter(1, Document, 'WRITE'),
+            ]))
+            .then(res => {
+              expect(res[0]).to.be.true()
+              expect(res[1]).to.be.false()
+              expect(res[2].organizationId.inq).to.have.members([ 'full', 'empty' ])
+              expect(res[3].organizationId.inq).to.deep.equal([ 'empty' ])
+            })
+        })
+    })
+  })
+
+  describe('can', function() {
+    it('should allow a group role to access an instance of its group', function() {
+      return app.accessUtils.can('storeMemberA', 'READ', 'Invoice', 3)
+        .then(res => {
+          expect(res).to.have.property('allowed', true)
+          expect(res).to.have.property('permission', 'ALLOW')
+          expect(res.acl).to.have.property('principalId', '$group:member')
+          expect(res.reason).to.be.a('string')
+        })
+    })
+
+    it('should deny access to an instance of another group', function() {
+      return app.accessUtils.can('storeMemberB', 'READ', app.models.Invoice, 3)
+        .then(res => {
+          expect(res).to.have.property('allowed', false)
+          expect(res.acl).to.have.property('principalId', '$everyone')
+        })
+    })
+
+    it('should check remote methods', function() {
+      return Promise.all([
+        app.accessUtils.can('storeManagerA', 'approve', 'Invoice', 3),
+        app.accessUtils.can('storeMemberA', 'approve', 'Invoice', 3),
+      ])
+        .then(res => {
+          expect(res[0]).to.have.property('allowed', true)
+          expect(res[0]).to.have.property('accessType', 'EXECUTE')
+          expect(res[0].acl).to.have.property('principalId', '$group:can:invoice.approve')
+          expect(res[1]).to.have.property('allowed', false)
+        })
+    })
+
+    it('should check access types against the ACL entries for all methods', function() {
+      return Promise.all([
+        app.accessUtils.can('storeAdminA', 'WRITE', 'Invoice', 3),
+        app.accessUtils.can('storeManagerA', 'WRITE', 'Invoice', 3),
+        app.accessUtils.can('storeMemberA', 'WRITE', 'Invoice', 3),
+      ])
+        .then(res => {
+          expect(res[0]).to.have.property('allowed', true)
+          expect(res[0].acl).to.have.property('principalId', '$group:admin')
+          expect(res[1]).to.have.property('allowed', false)
+          expect(res[2]).to.have.property('allowed', false)
+        })
+    })
+
+    it('should note when no instance was checked', function() {
+      return Promise.all([
+        app.accessUtils.can('storeMemberB', 'WRITE', 'Invoice'),
+        app.accessUtils.can('storeMemberB', 'WRITE', 'Invoice', 3),
+        app.accessUtils.can('storeMemberB', 'find', 'Invoice'),
+      ])
+        .then(res => {
+          expect(res[0].reason).to.contain('No instance was checked')
+          expect(res[1].reason).to.not.contain('No instance was checked')
+          expect(res[2].reason).to.not.contain('No instance was checked')
+        })
+    })
+
+    it('should deny access to anonymous users', function() {
+      return app.accessUtils.can(null, 'READ', 'Invoice', 3)
+        .then(res => expect(res).to.have.property('allowed', false))
+    })
+
+    it('should not affect the current request', function() {
+      return new Promise(resolve => LoopBackContext.runInContext(ctx => {
+        ctx.set('groupAccessApplied', null)
+        ctx.set('groupAccessInstances', null)
+
+        resolve(app.accessUtils.can('storeMemberA', 'READ', 'Invoice', 3)
+          .then(() => {
+            expect(ctx.get('groupAccessApplied')).to.not.be.ok()
+            expect(ctx.get('groupAccessInstances')).to.not.be.ok()
+          }))
+      }))
+    })
+
+    it('should reject unknown methods', function() {
+      return app.accessUtils.can('storeMemberA', 'unknown', 'Invoice', 3)
+        .then(() => {
+          throw new Error('Expected the check to fail')
+        }, err => expect(err).to.have.property('statusCode', 400))
+    })
+  })
+
+  describe('runAs', function() {
+    it('should set up the user context', function() {
+      return app.accessUtils.runAs('storeMemberA', () => {
+        expect(app.accessUtils.getCurrentUser().getId()).to.equal('storeMemberA')
+        expect(app.models.user.getCurrentUser().getId()).to.equal('storeMemberA')
+        return app.accessUtils.getUserGroups('storeMemberA')
+      })
+        .then(groups => {
+          expect(groups.map(group => group.storeId)).to.deep.equal([ 'A' ])
+        })
+    })
+
+    it('should accept a user instance', function() {
+      return app.models.user.findById('storeMemberB')
+        .then(user => app.accessUtils.runAs(user, () => app.accessUtils.getCurrentUser()))
+        .then(user => expect(user.getId()).to.equal('storeMemberB'))
+    })
+
+    it('should filter model calls to the groups of the user', function() {
+      return Promise.all([
+        app.accessUtils.runAs('storeMemberA', () => app.models.Invoice.find()),
+        app.models.Invoice.find(),
+      ])
+        .then(res => {
+          expect(res[0]).to.not.be.empty()
+          expect(res[0].every(invoice => invoice.storeId === 'A')).to.be.true()
+          expect(res[1].some(invoice => invoice.storeId !== 'A')).to.be.true()
+        })
+    })
+
+    it('should not affect the current context', function() {
+      return new Promise(resolve => LoopBackContext.runInContext(ctx => {
+        ctx.set('currentUser', null)
+
+        resolve(app.accessUtils.runAs('storeMemberA', () => null)
+          .then(() => expect(ctx.get('currentUser')).to.not.be.ok()))
+      }))
+    })
+
+    it('should not inherit the values of the current request', function() {
+      return new Promise(resolve => LoopBackContext.runInContext(ctx => {
+        // The user and their groups are replaced by runAs(), so only mark the other values.
+        REQUEST_KEYS.forEach(key => ctx.set(key, [ 'currentUser', 'currentUserGroups' ].includes(key) ? null : 'outer'))
+
+        resolve(app.accessUtils.runAs('storeMemberA', () => {
+          const runAsContext = LoopBackContext.getCurrentContext()
+
+          return REQUEST_KEYS.filter(key => runAsContext.get(key) === 'outer')
+        })
+          .then(keys => expect(keys).to.be.empty()))
+      }))
+    })
+
+    it('should reject unknown users', function() {
+      return app.accessUtils.runAs('unknownUser', () => null)
+        .then(() => {
+          throw new Error('Expected runAs to fail')
+        }, err => expect(err).to.have.property('statusCode', 404))
+    })
+
+    it('should reject with the errors of the function', function() {
+      return app.accessUtils.runAs('storeMemberA', () => {
+        throw new Error('Failed')
+      })
+        .then(() => {
+          throw new Error('Expected runAs to fail')
+        }, err => expect(err).to.have.property('message', 'Failed'))
+    })
+
+    describe('writes', function() {
+      const { Invoice } = app.models
+
+      function expectForbidden(promise) {
+        return promise
+          .then(() => {
+            throw new Error('Expected the write to be denied')
+          }, err => expect(err).to.have.property('statusCode', 403))
+      }
+
+      afterEach(function() {
+        return Invoice.destroyAll({ invoiceNumber: { gte: 500 } }, { skipAccess: true })
+      })
+
+      it('should allow writes that the ACLs allow for the user', function() {
+        return app.accessUtils.runAs('storeManagerA', () => Invoice.create({ storeId: 'A', invoiceNumber: 501 })
+          .then(invoice => invoice.updateAttributes({ invoiceNumber: 502 })))
+          .then(invoice => expect(invoice).to.include({ storeId: 'A', invoiceNumber: 502 }))
+      })
+
+      it('should deny creating records in other groups', function() {
+        return expectForbidden(app.accessUtils.runAs('storeMemberA', () =>
+          Invoice.create({ storeId: 'B', invoiceNumber: 501 })))
+          .then(() => Invoice.count({ invoiceNumber: 501 }))
+          .then(count => expect(count).to.equal(0))
+      })
+
+      it('should deny updating records of other groups', function() {
+        return Invoice.create({ storeId: 'B', invoiceNumber: 501 })
+          .then(invoice => expectForbidden(app.accessUtils.runAs('storeMemberA', () =>
+            invoice.updateAttributes({ invoiceNumber: 502 })))
+            .then(() => Invoice.findById(invoice.id)))
+          .then(invoice => expect(invoice).to.have.property('invoiceNumber', 501))
+      })
+
+      it('should deny moving records to other groups', function() {
+        return Invoice.create({ storeId: 'A', invoiceNumber: 501 })
+          .then(invoice => expectForbidden(app.accessUtils.runAs('storeManagerA', () =>
+            invoice.updateAttributes({ storeId: 'B' })))
+            .then(() => Invoice.findById(invoice.id)))
+          .then(invoice => expect(invoice).to.have.property('storeId', 'A'))
+      })
+
+      it('should deny deleting records of other groups', function() {
+        return Invoice.create({ storeId: 'B', invoiceNumber: 501 })
+          .then(invoice => expectForbidden(app.accessUtils.runAs('storeAdminA', () => Invoice.destroyById(invoice.id)))
+            .then(() => Invoice.exists(invoice.id)))
+          .then(exists => expect(exists).to.be.true())
+      })
+
+      it('should allow saving loaded records with unchanged properties that the user can not write', function() {
+        return Invoice.create({ storeId: 'A', invoiceNumber: 501, status: 'active' }, { skipAccess: true })
+          .then(invoice => app.accessUtils.runAs('storeManagerA', () => Invoice.findById(invoice.id)
+            .then(res => {
+              res.invoiceNumber = 502
+              return res.save()
+            })))
+          .then(invoice => expect(invoice).to.include({ invoiceNumber: 502, status: 'active' }))
+      })
+
+      it('should deny saving loaded records with changed properties that the user can not write', function() {
+        return Invoice.create({ storeId: 'A', invoiceNumber: 501, status: 'active' }, { skipAccess: true })
+          .then(invoice => expectForbidden(app.accessUtils.runAs('storeManagerA', () => Invoice.findById(invoice.id)
+            .then(res => {
+              res.status = 'disabled'
+              return res.save()
+            })))
+            .then(() => Invoice.findById(invoice.id, { }, { skipAccess: true })))
+          .then(invoice => expect(invoice).to.have.property('status', 'active'))
+      })
+
+      it('should not authorize writes with the skipAccess option', function() {
+        return app.accessUtils.runAs('storeMemberA', () =>
+          Invoice.create({ storeId: 'B', invoiceNumber: 501 }, { skipAccess: true }))
+          .then(invoice => expect(invoice).to.have.property('storeId', 'B'))
+      })
+    })
+  })
 })